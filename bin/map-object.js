@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+/**
+ * map-object command-line tool
+ *
+ * Reshapes JSON and NDJSON from files or stdin with mapObject field specifications.
+ *
+ * Usage:
+ *   map-object [options] <spec...> [-- file...]
+ *   map-object [options] -f <spec file> [file...]
+ *   map-object [options] get <path> [file...]
+ *
+ * Examples:
+ *   map-object -f userResponse.spec users.json
+ *   cat users.ndjson | map-object --ndjson id "profile.name:name"
+ *   map-object get "users.[email]" export.json
+ */
+
+const fs = require("fs");
+const readline = require("readline");
+const { once } = require("events");
+const { Readable } = require("stream");
+const mapObject = require("../mapObject.js");
+
+const usage = `Usage:
+  map-object [options] <spec...> [-- file...]
+  map-object [options] -f <spec file> [file...]
+  map-object [options] get <path> [file...]
+
+Reads JSON or NDJSON from the files (or stdin when none are given or for "-"), maps every
+record and writes the result to stdout. A top-level JSON array is a list of records.
+Other arguments starting with a single "-" are specs, e.g. the exclusion "-password".
+
+Options:
+  -f, --spec-file <file>  Read field specs from a file: one per line ("#" comments),
+                          or a JSON array of specs
+  -p, --pretty            Pretty-print JSON output
+  -s, --strict            Fail records with missing required fields (mapObject.strict)
+  -n, --ndjson            Stream the input as NDJSON, one record per line
+  -h, --help              Show this help`;
+
+/**
+ * Checks if an error means stdout was closed by its reader (e.g. `map-object ... | head`)
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+const isOutputClosed = (error) => error.code === "EPIPE";
+
+/**
+ * Error for invalid command-line usage (exit code 2)
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+// ============================================================================
+// Arguments
+// ============================================================================
+
+/**
+ * Boolean flags by spelling
+ */
+const flags = {
+  "-p": "pretty",
+  "--pretty": "pretty",
+  "-s": "strict",
+  "--strict": "strict",
+  "-n": "ndjson",
+  "--ndjson": "ndjson",
+  "-h": "help",
+  "--help": "help",
+};
+
+/**
+ * Parses the command line into a command
+ * Other arguments starting with a single "-" are specs, so exclusions ("-password") and
+ * negative indices ("-1:last") can be passed as they are.
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{help: boolean, get: string|null, specs: Array, files: Array<string>, pretty: boolean,
+ *   strict: boolean, ndjson: boolean, warnings: Array<string>}}
+ * @throws {UsageError} If the arguments are invalid
+ */
+function parseCommand(argv) {
+  const command = {
+    help: false,
+    get: null,
+    specs: [],
+    files: [],
+    pretty: false,
+    strict: false,
+    ndjson: false,
+    warnings: [],
+  };
+  const leading = [];
+  const trailing = [];
+  let specFile = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      // Arguments after "--" are always files
+      trailing.push(...argv.slice(i + 1));
+      break;
+    } else if (flags[arg]) {
+      command[flags[arg]] = true;
+    } else if (arg === "-f" || arg === "--spec-file") {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`${arg} needs a spec file`);
+      }
+      specFile = argv[++i];
+    } else if (arg.startsWith("--spec-file=")) {
+      specFile = arg.slice("--spec-file=".length);
+    } else if (arg.startsWith("--")) {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else {
+      leading.push(arg);
+    }
+  }
+
+  if (command.help) {
+    return command;
+  }
+  if (leading[0] === "get") {
+    if (leading.length < 2) {
+      throw new UsageError('"get" needs a path, e.g. map-object get "users.[email]" export.json');
+    }
+    return { ...command, get: leading[1], files: [...leading.slice(2), ...trailing] };
+  }
+  if (specFile !== null) {
+    return { ...command, specs: readSpecFile(specFile), files: [...leading, ...trailing] };
+  }
+  if (!leading.length) {
+    throw new UsageError("No field specs given; pass them as arguments or with -f <spec file>");
+  }
+
+  // "map-object id users.json" reads users.json as a spec and waits on stdin
+  const warnings = trailing.length
+    ? []
+    : leading
+        .filter(isFile)
+        .map((spec) => `"${spec}" is read as a spec, but a file with that name exists; put input files after "--"`);
+
+  return { ...command, specs: leading, files: trailing, warnings };
+}
+
+/**
+ * Checks if a path names an existing file
+ *
+ * @param {string} file - Path to check
+ * @returns {boolean}
+ */
+function isFile(file) {
+  try {
+    return fs.statSync(file).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Reads field specifications from a spec file
+ * A file starting with "[" is a JSON array of specs (for nested groups); otherwise every
+ * non-blank line not starting with "#" is one spec.
+ *
+ * @param {string} file - Spec file path
+ * @returns {Array<string|Array>} Field specifications
+ * @throws {UsageError} If the file cannot be read or holds no specs
+ */
+function readSpecFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw new UsageError(`Cannot read spec file ${file}: ${error.message}`);
+  }
+
+  if (text.trimStart().startsWith("[")) {
+    let specs;
+    try {
+      specs = JSON.parse(text);
+    } catch (error) {
+      throw new UsageError(`Invalid JSON in spec file ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(specs) || !specs.length) {
+      throw new UsageError(`Spec file ${file} must hold a non-empty JSON array`);
+    }
+    return specs;
+  }
+
+  const specs = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+
+  if (!specs.length) {
+    throw new UsageError(`Spec file ${file} holds no specs`);
+  }
+  return specs;
+}
+
+// ============================================================================
+// Mapping
+// ============================================================================
+
+/**
+ * Builds the function applied to every record
+ *
+ * @param {Object} command - Parsed command
+ * @returns {function(*): *} Record mapper
+ * @throws {Error} If a spec is invalid
+ */
+function createMapper(command) {
+  if (command.get !== null) {
+    return (record) => mapObject.readValue(record, command.get);
+  }
+  return (command.strict ? mapObject.strict : mapObject).compile(...command.specs);
+}
+
+/**
+ * Formats a value as JSON; undefined (e.g. a path that reads nothing) becomes null
+ *
+ * @param {*} value - Value to format
+ * @param {boolean} pretty - Indent the output
+ * @returns {string}
+ */
+const formatJson = (value, pretty) => JSON.stringify(value === undefined ? null : value, null, pretty ? 2 : 0);
+
+/**
+ * The error stdout failed with, once its reader has closed it
+ */
+let outputError = null;
+
+process.stdout.on("error", (error) => {
+  if (!isOutputClosed(error)) {
+    throw error;
+  }
+  outputError = error;
+});
+
+/**
+ * Writes a chunk to stdout, waiting for it to drain when its buffer is full
+ *
+ * @param {string} chunk - Text to write
+ * @returns {Promise<void>}
+ * @throws {Error} An EPIPE error once stdout has been closed by its reader
+ */
+async function writeOut(chunk) {
+  if (outputError) {
+    throw outputError;
+  }
+  if (!process.stdout.write(chunk)) {
+    await once(process.stdout, "drain");
+  }
+}
+
+/**
+ * Names an input in messages
+ *
+ * @param {string} file - File path, or "-" for stdin
+ * @returns {string}
+ */
+const inputName = (file) => (file === "-" ? "stdin" : file);
+
+/**
+ * Maps an NDJSON input line by line, reporting failed records on stderr
+ * Stops reading when stdout is closed, rather than reporting every later record.
+ *
+ * @param {Object} input - Readable stream of NDJSON text
+ * @param {string} name - Input name for messages
+ * @param {function(*): *} mapRecord - Record mapper
+ * @returns {Promise<number>} Number of failed records
+ * @throws {Error} An EPIPE error when stdout has been closed
+ */
+async function mapLines(input, name, mapRecord) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let failed = 0;
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) {
+      continue;
+    }
+
+    try {
+      await writeOut(`${formatJson(mapRecord(JSON.parse(line)), false)}\n`);
+    } catch (error) {
+      if (isOutputClosed(error)) {
+        lines.close();
+        input.destroy();
+        throw error;
+      }
+      failed++;
+      process.stderr.write(`${name}:${lineNumber}: ${error.message}\n`);
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * Maps a whole JSON or NDJSON input
+ * The input is parsed as one JSON document when possible; otherwise it is read as NDJSON.
+ *
+ * @param {string} file - File path, or "-" for stdin
+ * @param {function(*): *} mapRecord - Record mapper
+ * @param {boolean} pretty - Indent JSON output
+ * @returns {Promise<number>} Number of failed records
+ */
+async function mapDocument(file, mapRecord, pretty) {
+  const text = fs.readFileSync(file === "-" ? 0 : file, "utf8");
+  let document;
+
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    return mapLines(Readable.from([text]), inputName(file), mapRecord);
+  }
+
+  const mapped = Array.isArray(document) ? document.map(mapRecord) : mapRecord(document);
+  await writeOut(`${formatJson(mapped, pretty)}\n`);
+  return 0;
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+/**
+ * Runs the command line and returns the exit code
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} 0 on success, 1 if records failed, 2 on usage errors
+ */
+async function main(argv) {
+  let command;
+  let mapRecord;
+
+  try {
+    command = parseCommand(argv);
+    if (command.help) {
+      process.stdout.write(`${usage}\n`);
+      return 0;
+    }
+    mapRecord = createMapper(command);
+    command.warnings.forEach((warning) => process.stderr.write(`map-object: warning: ${warning}\n`));
+  } catch (error) {
+    process.stderr.write(`map-object: ${error.message}\n${error instanceof UsageError ? `\n${usage}\n` : ""}`);
+    return 2;
+  }
+
+  const files = command.files.length ? command.files : ["-"];
+  let failed = 0;
+
+  for (const file of files) {
+    try {
+      failed += command.ndjson
+        ? await mapLines(file === "-" ? process.stdin : fs.createReadStream(file), inputName(file), mapRecord)
+        : await mapDocument(file, mapRecord, command.pretty);
+    } catch (error) {
+      // The reader of stdout is gone: stop quietly, like other tools in a pipeline
+      if (isOutputClosed(error)) {
+        break;
+      }
+      process.stderr.write(`map-object: ${inputName(file)}: ${error.message}\n`);
+      failed++;
+    }
+  }
+
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
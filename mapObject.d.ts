@@ -0,0 +1,836 @@
+/**
+ * Type declarations for mapObject
+ *
+ * Map strings are parsed at the type level with template literal types, so
+ * readValue(user, "profile.name") and mapObject(user, "profile.name:fullName") are
+ * typed from the source object. Constructs the types cannot follow (recursive descent,
+ * unregistered transforms, non-literal specs) fall back to unknown.
+ */
+
+// ============================================================================
+// Spec Scanning
+// ============================================================================
+
+/**
+ * Splits a string on separators at the top level, skipping separators inside
+ * parentheses, brackets or quotes and after a backslash (mirrors scanTopLevel)
+ */
+type SplitTopLevel<
+  S extends string,
+  Sep extends string,
+  Current extends string = "",
+  Parts extends string[] = [],
+  Quote extends string = "",
+  Depth extends unknown[] = [],
+> = S extends `${infer Char}${infer Rest}`
+  ? Char extends "\\"
+    ? Rest extends `${infer Escaped}${infer After}`
+      ? SplitTopLevel<After, Sep, `${Current}${Char}${Escaped}`, Parts, Quote, Depth>
+      : [...Parts, `${Current}${Char}`]
+    : Quote extends ""
+      ? Char extends "'" | '"'
+        ? SplitTopLevel<Rest, Sep, `${Current}${Char}`, Parts, Char, Depth>
+        : Char extends "(" | "["
+          ? SplitTopLevel<Rest, Sep, `${Current}${Char}`, Parts, Quote, [...Depth, Char]>
+          : Char extends ")" | "]"
+            ? SplitTopLevel<
+                Rest,
+                Sep,
+                `${Current}${Char}`,
+                Parts,
+                Quote,
+                Depth extends [unknown, ...infer Outer] ? Outer : []
+              >
+            : Depth extends []
+              ? S extends `${Sep}${infer AfterSep}`
+                ? SplitTopLevel<AfterSep, Sep, "", [...Parts, Current], Quote, Depth>
+                : SplitTopLevel<Rest, Sep, `${Current}${Char}`, Parts, Quote, Depth>
+              : SplitTopLevel<Rest, Sep, `${Current}${Char}`, Parts, Quote, Depth>
+      : SplitTopLevel<Rest, Sep, `${Current}${Char}`, Parts, Char extends Quote ? "" : Quote, Depth>
+  : [...Parts, Current];
+
+/** Removes backslash escapes (mirrors unescapeText) */
+type Unescape<S extends string> = S extends `${infer Head}\\${infer Char}${infer Rest}`
+  ? `${Head}${Char}${Unescape<Rest>}`
+  : S;
+
+/** Parses a literal the way parseLiteral does */
+type ParseLiteral<L extends string> = L extends `'${infer Text}'` | `"${infer Text}"`
+  ? Unescape<Text>
+  : L extends "true"
+    ? true
+    : L extends "false"
+      ? false
+      : L extends "null"
+        ? null
+        : L extends `${number}`
+          ? number
+          : L;
+
+type IsAny<T> = 0 extends 1 & T ? true : false;
+
+type Nullish = null | undefined;
+
+/** undefined when T may be null or undefined, never otherwise */
+type MissingFrom<T> = [Extract<T, Nullish>] extends [never] ? never : undefined;
+
+// ============================================================================
+// Path Types
+// ============================================================================
+
+/** Splits a dot-notation path into its pieces */
+type SplitPath<P extends string> = SplitTopLevel<P, ".">;
+
+/** Checks if a path piece is a numeric index: "0", "-1", "[0]", "[-1]" */
+type IsIndexPiece<Piece extends string> = Piece extends `[${infer Inner}]`
+  ? IsIndexPiece<Inner>
+  : Piece extends `${bigint}`
+    ? true
+    : false;
+
+/** Checks if a path piece addresses array items (mirrors isArraySegment) */
+type IsArrayPiece<Piece extends string> = IsIndexPiece<Piece> extends true
+  ? true
+  : Piece extends `[${string}]`
+    ? true
+    : false;
+
+/** The object key a key piece names: "name", "['first name']", "content-type\\.v2" */
+type KeyOfPiece<Piece extends string> = Piece extends `['${infer Key}']` | `["${infer Key}"]`
+  ? Unescape<Key>
+  : Unescape<Piece>;
+
+/** Reads path pieces from a value (mirrors readSegments) */
+type ReadPieces<T, Pieces extends string[]> =
+  IsAny<T> extends true
+    ? any
+    : unknown extends T
+      ? unknown
+      : Pieces extends [infer Piece extends string, ...infer Rest extends string[]]
+        ? ReadPiece<NonNullable<T>, Piece, Rest> | MissingFrom<T>
+        : T;
+
+type ReadPiece<T, Piece extends string, Rest extends string[]> = T extends unknown
+  ? Piece extends "*" | "{*}"
+    ? Rest extends []
+      ? T
+      : ReadWildcard<T, Piece, Rest>
+    : Piece extends `**${string}`
+      ? unknown[]
+      : Piece extends "[]"
+        ? undefined
+        : Piece extends `[?${string}]`
+          ? ReadFilter<T, Rest>
+          : IsIndexPiece<Piece> extends true
+            ? T extends readonly (infer Item)[]
+              ? ReadPieces<Item, Rest> | undefined
+              : undefined
+            : Piece extends `[${"'" | '"'}${string}]`
+              ? ReadKey<T, KeyOfPiece<Piece>, Rest>
+              : Piece extends `[${infer Projection}]`
+                ? ReadProjection<T, Projection, Rest>
+                : ReadKey<T, KeyOfPiece<Piece>, Rest>
+  : never;
+
+type ReadKey<T, Key extends string, Rest extends string[]> = T extends readonly unknown[]
+  ? undefined
+  : T extends object
+    ? Key extends keyof T
+      ? ReadPieces<T[Key], Rest>
+      : unknown
+    : undefined;
+
+type ReadWildcard<T, Piece extends string, Rest extends string[]> = T extends readonly (infer Item)[]
+  ? ReadPieces<Item, Rest>[]
+  : T extends object
+    ? Piece extends "{*}"
+      ? { [Key in keyof T]: ReadPieces<T[Key], Rest> }
+      : ReadPieces<T[keyof T], Rest>[]
+    : undefined;
+
+type ProjectItem<Item, Projection extends string> = Item extends readonly unknown[]
+  ? undefined
+  : Item extends object
+    ? ReadPieces<Item, SplitPath<Projection>>
+    : undefined;
+
+type ReadProjection<T, Projection extends string, Rest extends string[]> = T extends readonly (infer Item)[]
+  ? ReadPieces<ProjectItem<Item, Projection>[], Rest>
+  : undefined;
+
+type ReadFilter<T, Rest extends string[]> = T extends readonly (infer Item)[]
+  ? Rest extends [infer Next extends string, ...string[]]
+    ? IsArrayPiece<Next> extends true
+      ? ReadPieces<Item[], Rest>
+      : ReadPieces<Item, Rest>[]
+    : Item[]
+  : undefined;
+
+/** The type of the value at a path in T (see mapObject.ReadPath) */
+type PathValue<T, P extends string> = string extends P ? unknown : ReadPieces<T, SplitPath<P>>;
+
+// ============================================================================
+// Transform Types
+// ============================================================================
+
+/** The value a built-in transform produces from Value; unknown for registered transforms */
+type ApplyTransform<Value, Spec extends string> =
+  (Spec extends `${infer Name}(${string})` ? Name : Spec) extends infer Name
+    ? Name extends "trim" | "lower" | "upper" | "round"
+      ? Value
+      : Name extends "string"
+        ? Value extends Nullish ? Value : string
+        : Name extends "number"
+          ? Value extends Nullish ? Value : number
+          : Name extends "join"
+            ? Value extends readonly unknown[] ? string : Value
+            : Name extends "isoDate"
+              ? Value extends Nullish ? Value : string
+              : unknown
+    : never;
+
+type ApplyTransforms<Value, Specs extends string[]> = Specs extends [
+  infer Spec extends string,
+  ...infer Rest extends string[],
+]
+  ? ApplyTransforms<ApplyTransform<Value, Spec>, Rest>
+  : Value;
+
+// ============================================================================
+// Result Types
+// ============================================================================
+
+/** Target paths mapped to functions of the mapper-scoped source: { fullName: (src) => ... } */
+type ComputedSpec = { readonly [target: string]: (source: any) => unknown };
+
+/** Any map string, computed field object, array of those, or nested array */
+type FieldSpec = string | ComputedSpec | readonly FieldSpec[];
+
+type SourceValue<T, Source extends string> = Source extends `=${infer Literal}`
+  ? ParseLiteral<Literal>
+  : PathValue<T, Source>;
+
+/** The first value that is not undefined among the fallbacks (mirrors readFirstDefined) */
+type FirstDefined<T, Sources extends string[]> = Sources extends [
+  infer Source extends string,
+  ...infer Rest extends string[],
+]
+  ? SourceValue<T, Source> extends infer Value
+    ? Rest extends []
+      ? Value
+      : unknown extends Value
+        ? unknown
+        : Exclude<Value, undefined> | ([Extract<Value, undefined>] extends [never] ? never : FirstDefined<T, Rest>)
+    : never
+  : undefined;
+
+/** The object shape a write to path pieces produces (mirrors writeSegments) */
+type WritePieces<Pieces extends string[], Value> = Pieces extends [
+  infer Piece extends string,
+  ...infer Rest extends string[],
+]
+  ? Piece extends "*" | "{*}" | `**${string}`
+    ? WritePieces<Rest, Value>
+    : Piece extends "[]" | `[?${string}]`
+      ? WritePieces<Rest, Value>[]
+      : IsIndexPiece<Piece> extends true
+        ? WritePieces<Rest, Value>[]
+        : Piece extends `[${"'" | '"'}${string}]`
+          ? WriteKey<KeyOfPiece<Piece>, Rest, Value>
+          : Piece extends `[${infer Projection}]`
+            ? NonNullable<Value> extends readonly (infer Item)[]
+              ? WritePieces<SplitPath<Projection>, Item>[]
+              : unknown[]
+            : WriteKey<KeyOfPiece<Piece>, Rest, Value>
+  : Value;
+
+/** undefined values are not written, so their keys are optional */
+type WriteKey<Key extends string, Rest extends string[], Value> = undefined extends Value
+  ? { [K in Key]?: WritePieces<Rest, Exclude<Value, undefined>> }
+  : { [K in Key]: WritePieces<Rest, Value> };
+
+/** Removes the optional marker from a source expression: "middleName?" → "middleName" */
+type StripOptional<Expression extends string> = Expression extends `${infer Text}?`
+  ? Text extends `${string}\\`
+    ? Expression
+    : Text
+  : Expression;
+
+/** Splits a map string into its source and target (mirrors parseFieldNode) */
+type FieldParts<Map extends string> = SplitTopLevel<Map, ":"> extends [
+  infer Source extends string,
+  ...infer Rest extends string[],
+]
+  ? [Source, Rest extends [infer Target extends string, ...string[]] ? Target : ""]
+  : never;
+
+/** Removes trailing spaces: the field part of "name @if active" */
+type TrimEnd<S extends string> = S extends `${infer Text} ` ? TrimEnd<Text> : S;
+
+/** Checks if a map string is a group condition ("@if type='company'") (mirrors isCondition) */
+type IsCondition<Map extends string> = Map extends "@if" | `@if ${string}` ? true : false;
+
+/** The shape a single field writes; Extra is added to its value (undefined for conditional fields) */
+type FieldResult<T, Map extends string, Prefix extends string, Extra = never> = FieldParts<Map> extends [
+  infer Source extends string,
+  infer Target extends string,
+]
+  ? SplitTopLevel<Source, "|"> extends [infer Expression extends string, ...infer Transforms extends string[]]
+    ? SplitTopLevel<StripOptional<Expression>, "??"> extends infer Sources extends string[]
+      ? WriteField<
+          `${Prefix}${Target extends "" ? Sources[0] : Target}`,
+          ApplyTransforms<FirstDefined<T, Sources>, Transforms> | MissingFrom<T> | Extra
+        >
+      : never
+    : never
+  : never;
+
+/** A "*" identifier merges the value into the whole result */
+type WriteField<Identifier extends string, Value> = Identifier extends "*"
+  ? NonNullable<Value> extends object
+    ? Partial<NonNullable<Value>>
+    : {}
+  : WritePieces<SplitPath<Identifier>, Value>;
+
+/** Characters that make a path more than a plain dotted word path */
+type PathSyntaxChar = "[" | "]" | "*" | "{" | "}" | "?" | "=" | "|" | ":" | " " | "'" | '"' | "(" | ")" | "\\";
+
+/** Checks if a path is made of plain word keys only, as mapper prefixes require */
+type IsWordPath<P extends string> = P extends ""
+  ? false
+  : P extends `.${string}` | `${string}.` | `${string}..${string}`
+    ? false
+    : P extends `${string}${PathSyntaxChar}${string}`
+      ? false
+      : true;
+
+/** Checks if a path quotes or escapes keys, which mapper prefixes allow but these types do not model */
+type IsQuotedPath<P extends string> = P extends `${string}${"[" | "'" | '"' | "\\"}${string}` ? true : false;
+
+/** Paths of a mapper prefix, unknown for quoted ones, never when the prefix is not a word path */
+type MapperPaths<Paths extends [string, string], Checked extends string> =
+  IsWordPath<Checked> extends true ? Paths : IsQuotedPath<Checked> extends true ? unknown : never;
+
+/**
+ * Parses a mapper prefix into [readPath, writePath] (mirrors isMapper and parseMapper)
+ * Prefixes with quoted or escaped keys parse to unknown, so their group falls back to Record<string, unknown>.
+ */
+type ParseMapper<M extends string> = M extends `:${infer Path}.`
+  ? MapperPaths<[Path, Path], Path>
+  : M extends `:${infer Path}`
+    ? MapperPaths<["", Path], Path>
+    : M extends `${infer From}:${infer To}.`
+      ? MapperPaths<[From, To], `${From}.${To}`>
+      : M extends `${infer From}.`
+        ? MapperPaths<[From, ""], From>
+        : never;
+
+type Intersect<Types extends readonly unknown[]> = Types extends readonly [infer First, ...infer Rest]
+  ? First & Intersect<Rest>
+  : unknown;
+
+type ItemResults<T, Items extends readonly FieldSpec[], Prefix extends string> = {
+  [I in keyof Items]: Items[I] extends infer Item extends string
+    ? string extends Item
+      ? Record<string, unknown>
+      : SplitTopLevel<Item, "::" | ","> extends infer Parts extends string[]
+        ? Parts extends [string]
+          ? IsExclusion<Item> | IsCondition<Item> extends false
+            ? SplitTopLevel<Item, "@if"> extends [infer Field extends string, ...infer Condition]
+              ? FieldResult<T, TrimEnd<Field>, Prefix, Condition extends [] ? never : undefined>
+              : never
+            : {}
+          : GroupResult<T, Parts, Prefix>
+        : never
+    : Items[I] extends infer Group extends readonly FieldSpec[]
+      ? GroupResult<T, Group, Prefix>
+      : Items[I] extends infer Computed extends ComputedSpec
+        ? ComputedResult<Computed, Prefix>
+        : {};
+};
+
+type UnionToIntersection<U> = (U extends unknown ? (value: U) => void : never) extends (value: infer I) => void
+  ? I
+  : never;
+
+/** The shape a computed field object writes: each target gets its function's return type */
+type ComputedResult<Computed extends ComputedSpec, Prefix extends string> = UnionToIntersection<
+  { [K in keyof Computed & string]: WriteField<`${Prefix}${K}`, ReturnType<Computed[K]>> }[keyof Computed & string]
+>;
+
+/** Checks if a group holds an "@if" item, which may leave out the fields after it */
+type HasCondition<Items extends readonly FieldSpec[]> = true extends {
+  [I in keyof Items]: Items[I] extends string ? IsCondition<Items[I]> : false;
+}[number]
+  ? true
+  : false;
+
+/** The results of a group's items, all optional when the group holds an "@if" item */
+type GatedResult<Items extends readonly FieldSpec[], Result> =
+  HasCondition<Items> extends true ? Partial<Result> : Result;
+
+/** The shape a group of fields writes, honoring a mapper prefix in first position */
+type GroupResult<T, Items extends readonly FieldSpec[], Prefix extends string = ""> = number extends Items["length"]
+  ? Record<string, unknown>
+  : Items extends readonly [infer First, ...infer Rest extends readonly FieldSpec[]]
+    ? (First extends string ? ParseMapper<First> : never) extends infer Mapper
+      ? [Mapper] extends [never]
+        ? GatedResult<Items, Intersect<ItemResults<T, Items, Prefix>>>
+        : unknown extends Mapper
+          ? Record<string, unknown>
+          : Mapper extends [infer From extends string, infer To extends string]
+            ? GatedResult<
+                Rest,
+                Intersect<
+                  ItemResults<
+                    From extends "" ? T : PathValue<T, From>,
+                    Rest,
+                    To extends "" ? Prefix : `${Prefix}${To}.`
+                  >
+                >
+              >
+            : never
+      : never
+    : {};
+
+/** Flattens the intersections that merged writes produce, leaving arrays and built-ins alone */
+type Digit = "0" | "1" | "2" | "3" | "4" | "5" | "6" | "7" | "8" | "9";
+
+/** Checks if a map string is an exclusion ("-password"), not a negative index ("-1") (mirrors isExclusion) */
+type IsExclusion<Map extends string> = Map extends `-${infer Path}`
+  ? Path extends `${Digit}${string}`
+    ? false
+    : true
+  : false;
+
+/** The result paths a group's exclusions remove, honoring mapper write prefixes */
+type GroupExclusions<Items extends readonly FieldSpec[], Prefix extends string = ""> = number extends Items["length"]
+  ? never
+  : Items extends readonly [infer First, ...infer Rest extends readonly FieldSpec[]]
+    ? (First extends string ? ParseMapper<First> : never) extends infer Mapper
+      ? [Mapper] extends [never]
+        ? ItemExclusions<Items, Prefix>
+        : Mapper extends [string, infer To extends string]
+          ? ItemExclusions<Rest, To extends "" ? Prefix : `${Prefix}${To}.`>
+          : never
+      : never
+    : never;
+
+type ItemExclusions<Items extends readonly FieldSpec[], Prefix extends string> = {
+  [I in keyof Items]: Items[I] extends infer Item extends string
+    ? string extends Item
+      ? never
+      : SplitTopLevel<Item, "::" | ","> extends infer Parts extends string[]
+        ? Parts extends [string]
+          ? [IsExclusion<Item>, Item] extends [true, `-${infer Path}`]
+            ? `${Prefix}${Path}`
+            : never
+          : GroupExclusions<Parts, Prefix>
+        : never
+    : Items[I] extends infer Group extends readonly FieldSpec[]
+      ? GroupExclusions<Group, Prefix>
+      : never;
+}[number];
+
+/** The paths to remove from each item of an array: "[passwordHash]", "*.secret" */
+type ItemPaths<Paths extends string> = Paths extends `[?${string}`
+  ? never
+  : Paths extends `[${infer Projection}].${infer Rest}`
+    ? `${Projection}.${Rest}`
+    : Paths extends `[${infer Projection}]`
+      ? Projection
+      : Paths extends `*.${infer Rest}`
+        ? Rest
+        : never;
+
+/** Removes excluded paths made of keys, wildcards and projections; other exclusions are not followed */
+type OmitPaths<T, Paths extends string> = [Paths] extends [never]
+  ? T
+  : T extends Date | RegExp | Function
+    ? T
+    : T extends readonly (infer Item)[]
+      ? OmitPaths<Item, ItemPaths<Paths>>[]
+      : T extends object
+        ? [Extract<Paths, "*">] extends [never]
+          ? {
+              [K in keyof T as K extends Paths ? never : K]: OmitPaths<
+                T[K],
+                Paths extends `${K & string}.${infer Rest}` | `*.${infer Rest}` ? Rest : never
+              >;
+            }
+          : {}
+        : T;
+
+type Simplify<T> = T extends readonly unknown[] | Date | RegExp | Map<unknown, unknown> | Set<unknown> | Function
+  ? T
+  : T extends object
+    ? { [K in keyof T]: Simplify<T[K]> }
+    : T;
+
+/** Settles the promises computed fields and async transforms write (mapObject.async) */
+type AwaitedValues<T> = T extends PromiseLike<infer Value>
+  ? Awaited<Value>
+  : T extends readonly unknown[] | Date | RegExp | Map<unknown, unknown> | Set<unknown> | Function
+    ? T
+    : T extends object
+      ? { [K in keyof T]: AwaitedValues<T[K]> }
+      : T;
+
+/**
+ * The parts of a Node.js object-mode Transform that mapObject.stream users rely on, declared
+ * structurally so the typings work without @types/node; it is assignable to NodeJS.ReadWriteStream
+ */
+interface NodeTransform {
+  readable: boolean;
+  writable: boolean;
+  read(size?: number): any;
+  setEncoding(encoding: string): this;
+  pause(): this;
+  resume(): this;
+  isPaused(): boolean;
+  pipe<Destination>(destination: Destination, options?: { end?: boolean | undefined }): Destination;
+  unpipe(destination?: unknown): this;
+  unshift(chunk: any, encoding?: string): void;
+  wrap(stream: any): this;
+  write(chunk: any, ...args: any[]): boolean;
+  end(...args: any[]): this;
+  destroy(error?: Error): this;
+  [Symbol.asyncIterator](): AsyncIterableIterator<any>;
+  addListener(event: string | symbol, listener: (...args: any[]) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+  prependListener(event: string | symbol, listener: (...args: any[]) => void): this;
+  prependOnceListener(event: string | symbol, listener: (...args: any[]) => void): this;
+  off(event: string | symbol, listener: (...args: any[]) => void): this;
+  removeListener(event: string | symbol, listener: (...args: any[]) => void): this;
+  removeAllListeners(event?: string | symbol): this;
+  setMaxListeners(n: number): this;
+  getMaxListeners(): number;
+  listeners(event: string | symbol): Array<(...args: any[]) => void>;
+  rawListeners(event: string | symbol): Array<(...args: any[]) => void>;
+  listenerCount(event: string | symbol, listener?: Function): number;
+  emit(event: string | symbol, ...args: any[]): boolean;
+  eventNames(): Array<string | symbol>;
+}
+
+/** The result of mapObject(obj, ...fields) (see mapObject.MapResult) */
+type MappedResult<T, Fields extends readonly FieldSpec[]> = T extends readonly unknown[]
+  ? unknown[]
+  : Simplify<OmitPaths<Intersect<ItemResults<T, Fields, "">>, GroupExclusions<Fields>>> & {};
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+/**
+ * Creates a new object from obj, shaped by the given field specifications
+ *
+ * @example
+ * mapObject(user, "profile.name:fullName", "contact.email");
+ * // { fullName: string; contact: { email: string } }
+ */
+declare function mapObject<T, const Fields extends readonly FieldSpec[]>(
+  obj: T,
+  ...fields: Fields
+): MappedResult<T, Fields>;
+
+declare namespace mapObject {
+  /** Any map string, computed field object, array of those, or nested array */
+  type Field = FieldSpec;
+
+  /** Target paths mapped to functions of the mapper-scoped source: { fullName: (src) => ... } */
+  type ComputedField = ComputedSpec;
+
+  /**
+   * The type of the value at a path in T
+   *
+   * @example
+   * type Name = mapObject.ReadPath<User, "profile.name">; // string
+   * type Last = mapObject.ReadPath<User, "orders.-1.total">; // number | undefined
+   * type Skus = mapObject.ReadPath<User, "orders.[items.0.sku]">; // (string | undefined)[]
+   */
+  type ReadPath<T, P extends string> = PathValue<T, P>;
+
+  /**
+   * The result of mapObject(obj, ...fields)
+   *
+   * @example
+   * type Response = mapObject.MapResult<User, ["profile.name:fullName", "contact.email"]>;
+   * // { fullName: string; contact: { email: string } }
+   */
+  type MapResult<T, Fields extends readonly FieldSpec[]> = MappedResult<T, Fields>;
+
+  interface Options {
+    /** "deep" (type-preserving, default) or "json" (JSON round-trip) source cloning */
+    clone?: "deep" | "json";
+    /** Throw a MissingFieldsError when a required field's source is missing */
+    strict?: boolean;
+    /** How many fields mapObject.async resolves at once (default Infinity) */
+    concurrency?: number;
+    /** Make mapObject.stream fail on the first record that cannot be mapped, instead of reporting it */
+    abortOnError?: boolean;
+    /** The operator mapObject.toUpdate uses for "[]" targets (default "$push") */
+    arrayOperator?: "$push" | "$addToSet";
+    /** Return results flattened into path keys (see mapObject.flatten) */
+    flatten?: boolean | FlattenOptions;
+  }
+
+  interface FlattenOptions {
+    /** Flatten array items into index paths ("tags.0"); false keeps arrays as values (default true) */
+    arrays?: boolean;
+    /** How many levels to flatten; deeper values are kept as they are (default Infinity) */
+    maxDepth?: number;
+  }
+
+  /** A mapObject result flattened into path keys, e.g. { "address.geo.lat": 1.5 } */
+  type FlatObject = Record<string, unknown>;
+
+  /** A MongoDB update document built by mapObject.toUpdate */
+  interface UpdateDocument {
+    $set?: Record<string, unknown>;
+    $unset?: Record<string, "">;
+    $push?: Record<string, unknown>;
+    $addToSet?: Record<string, unknown>;
+    [operator: `$${string}`]: Record<string, unknown> | undefined;
+  }
+
+  interface MissingPath {
+    /** Full source path, including mapper read paths */
+    path: string;
+    /** The segment where reading stopped, or null if the path is not readable */
+    stoppedAt: string | null;
+    /** The path up to and including stoppedAt */
+    at: string | null;
+    /** The value found at `at` */
+    value: null | undefined;
+  }
+
+  interface MissingField {
+    spec: string;
+    identifier: string;
+    paths: MissingPath[];
+  }
+
+  /** Thrown in strict mode when required fields have no source value */
+  class MissingFieldsError extends Error {
+    constructor(missing: MissingField[]);
+    name: "MissingFieldsError";
+    missing: MissingField[];
+  }
+
+  interface FieldError {
+    /** The map string, or the target of a computed field */
+    spec: string;
+    identifier: string;
+    error: unknown;
+  }
+
+  class FieldResolutionError extends Error {
+    constructor(errors: FieldError[]);
+    name: "FieldResolutionError";
+    errors: FieldError[];
+  }
+
+  class RecordError extends Error {
+    constructor(index: number, record: unknown, cause: unknown);
+    name: "RecordError";
+    /** Position of the record in the input (0-based) */
+    index: number;
+    /** The record, or the NDJSON line that failed to parse */
+    record: unknown;
+    cause: unknown;
+  }
+
+  /** An RFC 6902 JSON Patch operation */
+  type PatchOperation =
+    | { op: "add" | "replace" | "test"; path: string; value: unknown }
+    | { op: "remove"; path: string }
+    | { op: "move" | "copy"; from: string; path: string };
+
+  /** Thrown by applyPatch when an operation cannot be applied */
+  class PatchError extends Error {
+    constructor(reason: string, operation: unknown, index: number);
+    name: "PatchError";
+    /** The failing operation, as given (it may be malformed) */
+    operation: unknown;
+    /** Position of the operation in the patch; earlier operations stay applied */
+    index: number;
+  }
+
+  /** Object-mode Transform from mapObject.stream; failed records are reported as "recordError" events */
+  interface MapStream extends NodeTransform {
+    on(event: "recordError", listener: (error: RecordError) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+    once(event: "recordError", listener: (error: RecordError) => void): this;
+    once(event: string | symbol, listener: (...args: any[]) => void): this;
+  }
+
+  interface SourceAdapter {
+    test(value: any): boolean;
+    toPlain(value: any): unknown;
+  }
+
+  interface Diagnostic {
+    spec: unknown;
+    offset: number;
+    message: string;
+  }
+
+  /** A mapObject function bound to options (see withOptions) */
+  interface MapObjectFunction {
+    <T, const Fields extends readonly FieldSpec[]>(obj: T, ...fields: Fields): MappedResult<T, Fields>;
+    compile<const Fields extends readonly FieldSpec[]>(...fields: Fields): <T>(obj: T) => MappedResult<T, Fields>;
+    async<T, const Fields extends readonly FieldSpec[]>(
+      obj: T,
+      ...fields: Fields
+    ): Promise<AwaitedValues<MappedResult<T, Fields>>>;
+    stream(...fields: FieldSpec[]): MapStream;
+    toUpdate(obj: unknown, ...fields: FieldSpec[]): UpdateDocument;
+    patch(target: object, obj: unknown, ...fields: FieldSpec[]): PatchOperation[];
+  }
+
+  /** A mapObject function bound to options with flatten set (see withOptions) */
+  interface FlatMapObjectFunction {
+    (obj: unknown, ...fields: FieldSpec[]): FlatObject;
+    compile(...fields: FieldSpec[]): (obj: unknown) => FlatObject;
+    async(obj: unknown, ...fields: FieldSpec[]): Promise<FlatObject>;
+    stream(...fields: FieldSpec[]): MapStream;
+    toUpdate(obj: unknown, ...fields: FieldSpec[]): UpdateDocument;
+    patch(target: object, obj: unknown, ...fields: FieldSpec[]): PatchOperation[];
+  }
+
+  type PathSegment =
+    | { type: "key"; key: string }
+    | { type: "index"; index: number }
+    | { type: "wildcard"; keyed: boolean }
+    | { type: "descend"; maxDepth: number }
+    | { type: "push" }
+    | { type: "project"; path: string; segments: PathSegment[] }
+    | { type: "filter"; predicate: Predicate };
+
+  interface Predicate {
+    path: string;
+    segments: PathSegment[];
+    operator: "truthy" | "falsy" | "=" | "!=" | ">" | "<" | ">=" | "<=" | "in";
+    value: unknown;
+  }
+
+  interface PathNode {
+    type: "path";
+    raw: string;
+    offset: number;
+    segments: PathSegment[] | null;
+  }
+
+  interface LiteralNode {
+    type: "literal";
+    raw: string;
+    offset: number;
+    value: unknown;
+  }
+
+  interface TransformNode {
+    type: "transform";
+    name: string;
+    args: unknown[];
+    offset: number;
+  }
+
+  interface FieldNode {
+    type: "field";
+    raw: string;
+    offset: number;
+    sources: Array<PathNode | LiteralNode>;
+    optional: boolean;
+    transforms: TransformNode[];
+    target: PathNode | null;
+    condition: ConditionNode | null;
+  }
+
+  interface ExclusionNode {
+    type: "exclusion";
+    raw: string;
+    offset: number;
+    path: PathNode;
+    condition: ConditionNode | null;
+  }
+
+  interface ConditionNode {
+    type: "condition";
+    raw: string;
+    offset: number;
+    predicate: Predicate;
+  }
+
+  interface ComputedNode {
+    type: "computed";
+    raw: string;
+    offset: number;
+    target: PathNode;
+    fn: (source: any) => unknown;
+  }
+
+  interface MapperNode {
+    type: "mapper";
+    raw: string;
+    offset: number;
+    readPath: PathNode | null;
+    writePath: PathNode | null;
+  }
+
+  interface GroupNode {
+    type: "group";
+    mapper: MapperNode | null;
+    items: Array<GroupNode | FieldNode | ExclusionNode | ConditionNode | ComputedNode>;
+  }
+
+  function readValue<T, const P extends string>(obj: T, path: P): PathValue<T, P>;
+  /** Writes in place and returns the same object */
+  function writeValue<T extends object>(obj: T, path: string, value: unknown): T;
+  /** Writes without mutating: copies only the containers along the path and shares the rest */
+  function setIn<T extends object>(obj: T, path: string, value: unknown): T;
+  function resolveMap(obj: unknown, map: string): { identifier: string; value: unknown };
+  function resolveMapArray(
+    obj: unknown,
+    mapArray: readonly FieldSpec[]
+  ): Array<{ identifier: string; value: unknown } | { identifier: string; exclude: true }>;
+  function removeValue<T extends object>(obj: T, path: string): T;
+  function registerTransform(name: string, fn: (value: any, ...args: any[]) => unknown): void;
+  function compile<const Fields extends readonly FieldSpec[]>(
+    ...fields: Fields
+  ): <T>(obj: T) => MappedResult<T, Fields>;
+  function invert(...fields: FieldSpec[]): { fields: string[]; issues: Array<{ map: string; reason: string }> };
+  function withOptions(options: Options & { flatten: true | FlattenOptions }): FlatMapObjectFunction;
+  function withOptions(options: Options): MapObjectFunction;
+  function registerAdapter(adapter: SourceAdapter): void;
+  const adapters: {
+    mongoose: SourceAdapter;
+    sequelize: SourceAdapter;
+    immutable: SourceAdapter;
+    toJSON: SourceAdapter;
+  };
+  function validate(...fields: unknown[]): Diagnostic[];
+  function parse(spec: FieldSpec): GroupNode;
+  function print(node: GroupNode): string | FieldSpec[];
+  function print(node: ComputedNode): ComputedSpec;
+  function print(node: FieldNode | ExclusionNode | ConditionNode | MapperNode | PathNode): string;
+  /** mapObject that throws a MissingFieldsError for missing required fields; mark optional ones with "?" */
+  const strict: MapObjectFunction;
+  function async<T, const Fields extends readonly FieldSpec[]>(
+    obj: T,
+    ...fields: Fields
+  ): Promise<AwaitedValues<MappedResult<T, Fields>>>;
+  function stream(...fields: FieldSpec[]): MapStream;
+  /** Builds a MongoDB update document ($set, $unset, $push) instead of a nested object */
+  function toUpdate(obj: unknown, ...fields: FieldSpec[]): UpdateDocument;
+  /** JSON Patch operations that write the mapped fields into target (which is not modified) */
+  function patch(target: object, obj: unknown, ...fields: FieldSpec[]): PatchOperation[];
+  /** Applies JSON Patch operations in order, mutating obj; returns the patched document */
+  function applyPatch<T>(obj: T, operations: readonly PatchOperation[]): T;
+  /** Flattens an object into path keys that unflatten (and writeValue) read back */
+  function flatten(obj: object, options?: FlattenOptions): FlatObject;
+  /** Rebuilds a nested object from path keys, inferring containers like writeValue */
+  function unflatten(flat: Record<string, unknown>): Record<string, any> | any[];
+}
+
+export = mapObject;
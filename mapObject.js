@@ -35,6 +35,13 @@ const isNull = (val) => val === null;
  */
 const isObject = (val) => typeof val === "object" && !Array.isArray(val) && val !== null;
 
+/**
+ * Checks if a value can hold properties written by a path (an object or an array)
+ * @param {*} val - Value to check
+ * @returns {boolean}
+ */
+const isContainer = (val) => isObject(val) || Array.isArray(val);
+
 /**
  * Checks if a string is a mapper pattern (e.g., "user.name." or ":user.name")
  * Mapper patterns are used to read from or write to nested object paths
@@ -45,18 +52,29 @@ const isObject = (val) => typeof val === "object" && !Array.isArray(val) && val
  * - ":user.name." - Read from and write to user.name
  * - "user." - Read all from user
  *
+ * Paths are split like any other path, so quoted, escaped and unicode keys work too
+ * (e.g. "['content.v2'].", ":['out put']", "ключ.").
+ *
+ * @param {string} val - String to test
+ * @returns {boolean}
+ */
+const isMapper = (val) => typeof val === "string" && parseMapper(val) !== null;
+
+/**
+ * Checks if a map string is an exclusion (e.g., "-password", "-users.[passwordHash]")
+ * Negative indices such as "-1" or "-1.name" are read paths, not exclusions.
+ *
  * @param {string} val - String to test
  * @returns {boolean}
  */
-const isMapper = (val) =>
-  /(^[$\w-]+(\.[$\w-]+)*(:[$\w-]+(\.[$\w-]+)*)?\.$)|(^:[$\w-]+(\.[$\w-]+)*\.?$)/.test(val);
+const isExclusion = (val) => val.startsWith("-") && !/^-\d+(?:$|[.:|?])/.test(val);
 
 /**
- * Checks if a string is an array key pattern (e.g., "[key]")
+ * Checks if a map string is a group condition (e.g., "@if type='company'")
  * @param {string} val - String to test
  * @returns {boolean}
  */
-const isArrayKey = (val) => /^\[[^\[\]]*\]$/.test(val);
+const isCondition = (val) => /^@if(?:\s|$)/.test(val);
 
 /**
  * Checks if a string is a numeric index (e.g., "0", "-1")
@@ -66,88 +84,433 @@ const isArrayKey = (val) => /^\[[^\[\]]*\]$/.test(val);
 const isIndexKey = (val) => /^-?\d+$/.test(val);
 
 /**
- * Converts a map string to an array by splitting on "::" or ","
+ * Removes backslash escapes from a string (e.g. "first\\ name" → "first name")
+ * @param {string} val - String to unescape
+ * @returns {string}
+ */
+const unescapeText = (val) => val.replace(/\\([\s\S])/g, "$1");
+
+/**
+ * Splits a string on any of the given separators, ignoring separators that appear
+ * inside parentheses, brackets or quotes (e.g. transform arguments like "join(', ')")
+ * or that are escaped with a backslash. Escapes are kept in the returned parts.
+ *
+ * @example
+ * scanTopLevel("a,b|trim", [","]) // [{ text: "a", offset: 0 }, { text: "b|trim", offset: 2 }]
+ *
+ * @param {string} str - String to split
+ * @param {Array<string>} separators - Separators to split on, longest first
+ * @returns {Array<{text: string, offset: number}>} Parts with their offsets in str
+ */
+function scanTopLevel(str, separators) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+
+    if (char === "\\") {
+      i++;
+    } else if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "(" || char === "[") {
+      depth++;
+    } else if (char === ")" || char === "]") {
+      depth--;
+    } else if (depth === 0) {
+      const separator = separators.find((sep) => str.startsWith(sep, i));
+      if (separator) {
+        parts.push({ text: str.slice(start, i), offset: start });
+        i += separator.length - 1;
+        start = i + 1;
+      }
+    }
+  }
+
+  parts.push({ text: str.slice(start), offset: start });
+  return parts;
+}
+
+/**
+ * Splits a string on any of the given separators at the top level (see scanTopLevel)
  *
  * @example
- * toMapArray("user::name,email") // ["user", "name", "email"]
+ * splitTopLevel("price|round(2)|join(', ')", ["|"]) // ["price", "round(2)", "join(', ')"]
  *
- * @param {string|Array} map - Map string or array
+ * @param {string} str - String to split
+ * @param {Array<string>} separators - Separators to split on, longest first
  * @returns {Array<string>}
  */
-const toMapArray = (map) => (typeof map === "string" ? map.split(/::|,/) : map);
+const splitTopLevel = (str, separators) => scanTopLevel(str, separators).map(({ text }) => text);
 
 // ============================================================================
-// Core Reading Functions
+// Path Parsing
 // ============================================================================
 
 /**
- * Reads a value from an object using a dot-notation path string
+ * Comparison operators available in filter predicates (e.g. "[?age>=18]")
+ */
+const predicateOperators = {
+  "=": (actual, expected) => actual === expected,
+  "!=": (actual, expected) => actual !== expected,
+  ">": (actual, expected) => actual > expected,
+  "<": (actual, expected) => actual < expected,
+  ">=": (actual, expected) => actual >= expected,
+  "<=": (actual, expected) => actual <= expected,
+  in: (actual, expected) => expected.includes(actual),
+};
+
+/**
+ * Predicate grammar: an optional "!", a path (escaped characters and quoted keys allowed),
+ * then optionally an operator and a value
+ */
+const predicatePattern =
+  /^\s*(!?)\s*((?:\\[\s\S]|\[(?:'[^']*'|"[^"]*")\]|[^\s!=<>()\\])+)\s*(?:(!=|>=|<=|=|>|<|\s+in\s+)\s*([\s\S]*?))?\s*$/;
+
+/**
+ * Parses the expression of a filter segment ("[?...]") into a predicate
  *
- * Supports:
- * - Simple paths: "user.name"
- * - Array indices: "users.0" or "users.-1" (negative indices supported)
- * - Array mapping: "users.[name]" (extracts name from each user)
- * - Nested array mapping: "users.[profile.email]"
- * - Wildcard: "*" (returns the current object)
+ * Supported forms:
+ * - "active" - item.active is truthy
+ * - "!deletedAt" - item.deletedAt is falsy
+ * - "type='home'", "age>18", "status!='banned'" - comparison with a literal
+ * - "role in ('admin','owner')" - membership in a literal list
  *
  * @example
- * const data = { users: [{ name: "Alice" }, { name: "Bob" }] };
- * readValue(data, "users.[name]"); // ["Alice", "Bob"]
- * readValue(data, "users.0.name"); // "Alice"
- * readValue(data, "users.-1.name"); // "Bob"
+ * parsePredicate("age>=18", "users.[?age>=18]");
+ * // { path: "age", segments: [...], operator: ">=", value: 18 }
+ *
+ * @param {string} expression - Predicate expression without the "[?" and "]"
+ * @param {string} path - The full path the predicate came from (for error messages)
+ * @param {string} [describe] - What the predicate is, for error messages (a filter of path by default)
+ * @returns {{path: string, segments: Array<Object>, operator: string, value: *}}
+ * @throws {Error} If the predicate is malformed
+ */
+function parsePredicate(expression, path, describe = `predicate "[?${expression}]" in path: ${path}`) {
+  const match = expression.match(predicatePattern);
+  const fail = (reason) => {
+    throw new Error(`Invalid ${describe} (${reason})`);
+  };
+
+  if (!match) {
+    fail("expected a path, optionally followed by an operator and a value");
+  }
+
+  const [, negation, predicatePath, rawOperator, rawValue] = match;
+  const segments = parsePath(predicatePath);
+
+  if (!segments) {
+    fail(`"${predicatePath}" is not a readable path`);
+  }
+
+  // Existence checks: "[?active]" and "[?!active]"
+  if (!rawOperator) {
+    return { path: predicatePath, segments, operator: negation ? "falsy" : "truthy", value: undefined };
+  }
+
+  const operator = rawOperator.trim();
+
+  if (negation) {
+    fail(`"!" cannot be combined with "${operator}"`);
+  }
+  if (rawValue === "") {
+    fail(`missing value after "${operator}"`);
+  }
+  // "age==18" would otherwise compare with the string "=18"
+  if (/^[=<>!]/.test(rawValue)) {
+    fail(`unexpected "${rawValue[0]}" at the start of the value; quote values that start with an operator character`);
+  }
+
+  if (operator === "in") {
+    if (!/^\(.*\)$/.test(rawValue)) {
+      fail('"in" expects a list such as (\'a\',\'b\')');
+    }
+    const list = rawValue.slice(1, -1);
+    const value = list.trim() ? splitTopLevel(list, [","]).map(parseLiteral) : [];
+    return { path: predicatePath, segments, operator, value };
+  }
+
+  return { path: predicatePath, segments, operator, value: parseLiteral(rawValue) };
+}
+
+/**
+ * Checks whether an array item satisfies a parsed predicate
+ *
+ * @param {*} item - Array item to test
+ * @param {Object} predicate - Predicate from parsePredicate
+ * @returns {boolean}
+ */
+function matchesPredicate(item, predicate) {
+  const actual = readSegments(item, predicate.segments);
+
+  if (predicate.operator === "truthy") {
+    return Boolean(actual);
+  }
+  if (predicate.operator === "falsy") {
+    return !actual;
+  }
+
+  return predicateOperators[predicate.operator](actual, predicate.value);
+}
+
+/**
+ * Parses a single dot-separated piece of a path into a segment
+ *
+ * Segment types:
+ * - { type: "key", key } - "name", "['first name']", "content-type\\.v2"
+ * - { type: "index", index } - "0", "-1", "[0]", "[-1]"
+ * - { type: "wildcard", keyed } - "*" (values as an array) or "{*}" (key-preserving object)
+ * - { type: "descend", maxDepth } - "**" (any depth) or "**{2}" (at most 2 levels down)
+ * - { type: "push" } - "[]"
+ * - { type: "project", path, segments } - "[profile.name]"
+ * - { type: "filter", predicate } - "[?active=true]"
+ *
+ * @param {string} piece - Path piece between dots
+ * @param {string} path - The full path the piece came from (for error messages)
+ * @returns {Object|null} Segment, or null if the piece is not a valid segment
+ */
+function parseSegment(piece, path) {
+  if (piece === "*" || piece === "{*}") {
+    return { type: "wildcard", keyed: piece === "{*}" };
+  }
+  if (/^\*\*(\{\d+\})?$/.test(piece)) {
+    return { type: "descend", maxDepth: piece === "**" ? Infinity : Number(piece.slice(3, -1)) };
+  }
+  if (isIndexKey(piece)) {
+    return { type: "index", index: Number(piece) };
+  }
+  if (/^\[\?[\s\S]*\]$/.test(piece)) {
+    return { type: "filter", predicate: parsePredicate(piece.slice(2, -1), path) };
+  }
+  if (/^\[(['"])[\s\S]*\1\]$/.test(piece)) {
+    // Quoted key: "['first name']" → "first name"
+    return { type: "key", key: unescapeText(piece.slice(2, -2)) };
+  }
+  if (/^\[[\s\S]*\]$/.test(piece)) {
+    // Remove brackets: "[name]" → "name", "[-1]" → "-1"
+    const cleanKey = piece.slice(1, -1);
+
+    if (cleanKey === "") {
+      return { type: "push" };
+    }
+    if (isIndexKey(cleanKey)) {
+      return { type: "index", index: Number(cleanKey) };
+    }
+
+    const segments = parsePath(cleanKey);
+    return segments && { type: "project", path: cleanKey, segments };
+  }
+
+  // Bare key: word and unicode characters, or any character escaped with a backslash
+  return /^(?:[$\p{L}\p{N}\p{M}_-]|\\[\s\S])+$/u.test(piece) ? { type: "key", key: unescapeText(piece) } : null;
+}
+
+/**
+ * Parses a dot-notation path into segments, handling nested brackets like
+ * "users.[profile.name].0" and predicates like "users.[?type='home'].0"
+ * Pieces that are not valid segments are skipped.
+ *
+ * @example
+ * parsePath("users.[?active].email");
+ * // [{ type: "key", key: "users" }, { type: "filter", predicate: {...} }, { type: "key", key: "email" }]
  *
- * @param {Object} obj - Source object to read from
  * @param {string} path - Dot-notation path string
- * @returns {*} The value at the specified path, or undefined if not found
- * @throws {Error} If path is invalid or empty
+ * @returns {Array<Object>|null} Path segments, or null if nothing in the path is usable
+ * @throws {Error} If path is not a string or contains an invalid predicate
  */
-function readValue(obj, path) {
+function parsePath(path) {
   if (typeof path !== "string") {
     throw new Error(`Path must be a string, received: ${typeof path}`);
   }
+
+  const segments = splitTopLevel(path, ["."])
+    .map((piece) => parseSegment(piece, path))
+    .filter(Boolean);
+
+  return segments.length ? segments : null;
+}
+
+/**
+ * Checks if a segment addresses array items, so its container must be an array
+ * @param {Object} [segment] - Path segment
+ * @returns {boolean}
+ */
+const isArraySegment = (segment) =>
+  Boolean(segment) && ["index", "push", "project", "filter"].includes(segment.type);
+
+// ============================================================================
+// Core Reading Functions
+// ============================================================================
+
+/**
+ * Parses a read path into its segments
+ *
+ * @example
+ * parseReadPath("users.[profile.name].-1");
+ * // [{ type: "key", key: "users" }, { type: "project", path: "profile.name", ... }, { type: "index", index: -1 }]
+ *
+ * @param {string} path - Dot-notation path string
+ * @returns {Array<Object>|null} Path segments, or null if nothing in the path is readable
+ * @throws {Error} If path is not a string, is empty or contains an invalid predicate
+ */
+function parseReadPath(path) {
   if (path === "") {
     throw new Error("Path cannot be an empty string");
   }
 
-  // Parse the path into segments, handling nested brackets like "users.[profile.name].0"
-  const segments = path.match(/\*|(?<=\.|^)((\[[$\w\-]+(\.[$\w\-]+)*\])|[$\w\-]+)(?=\.|$)/g);
+  return parsePath(path);
+}
 
+/**
+ * Reads a value from an object by walking pre-parsed path segments
+ *
+ * @param {Object} obj - Source object to read from
+ * @param {Array<Object>|null} segments - Segments from parseReadPath
+ * @returns {*} The value at the specified path, or undefined if not found
+ */
+function readSegments(obj, segments) {
   if (!segments) {
     return undefined;
   }
+  if (segments.length === 0) {
+    return obj;
+  }
 
-  return segments.reduce((currentObj, key) => {
-    if (key === "") {
-      throw new Error(`Invalid path segment in: ${path}`);
+  // Normalize library objects met along the way (see registerAdapter)
+  obj = normalizeValue(obj);
+
+  const [segment, ...rest] = segments;
+
+  // Wildcard at the end of a path returns current object
+  if (segment.type === "wildcard" && rest.length === 0) {
+    return obj;
+  }
+
+  // Wildcard mid-path reads the rest of the path from every value of the current object
+  // "settings.*.enabled" → [true, false], "settings.{*}.enabled" → { email: true, sms: false }
+  if (segment.type === "wildcard") {
+    if (!isObject(obj) && !Array.isArray(obj)) {
+      return undefined;
+    }
+    if (!segment.keyed) {
+      return Object.values(obj).map((value) => readSegments(value, rest));
     }
+    if (Array.isArray(obj)) {
+      return obj.map((value) => readSegments(value, rest));
+    }
+    return Object.fromEntries(Object.entries(obj).map(([key, value]) => [key, readSegments(value, rest)]));
+  }
 
-    // Wildcard returns current object
-    if (key === "*") {
-      return currentObj;
+  // Recursive descent: read the rest of the path from this node and every node below it
+  // "**.email" → every email in the document, in document order
+  if (segment.type === "descend") {
+    if (isUndefined(obj)) {
+      return undefined;
     }
+    return collectDescendants(obj, segment.maxDepth)
+      .map((node) => readSegments(node, rest))
+      .filter((value) => !isUndefined(value));
+  }
 
-    // Handle array operations
-    if (isArrayKey(key) || isIndexKey(key)) {
-      // Remove brackets: "[name]" → "name", "[-1]" → "-1"
-      const cleanKey = key.replace(/(^\[)|(\]$)/g, "");
+  // Standard object property access
+  if (segment.type === "key") {
+    return isObject(obj) ? readSegments(obj[segment.key], rest) : undefined;
+  }
 
-      if (!Array.isArray(currentObj) || !cleanKey) {
-        return undefined;
-      }
+  // Everything else is an array operation
+  if (!Array.isArray(obj) || segment.type === "push") {
+    return undefined;
+  }
 
-      // Numeric index: access specific array element
-      if (isIndexKey(cleanKey)) {
-        return currentObj.at(cleanKey);
-      }
+  // Numeric index: access specific array element
+  if (segment.type === "index") {
+    return readSegments(obj.at(segment.index), rest);
+  }
 
-      // Property extraction: map over array and extract nested property
-      // "users.[profile.name]" extracts profile.name from each user
-      return currentObj.map((item) => (isObject(item) ? readValue(item, cleanKey) : undefined));
-    }
+  // Property extraction: map over array and extract nested property
+  // "users.[profile.name]" extracts profile.name from each user
+  if (segment.type === "project") {
+    const projected = obj.map((item) => (isObject(item) ? readSegments(item, segment.segments) : undefined));
+    return readSegments(projected, rest);
+  }
 
-    // Standard object property access
-    return isObject(currentObj) ? currentObj[key] : undefined;
-  }, obj);
+  // Filter: keep matching items, then read the rest of the path from each of them
+  // "users.[?active].email" → emails of active users, "users.[?active].0" → first active user
+  const matches = obj.filter((item) => matchesPredicate(item, segment.predicate));
+  return rest.length && !isArraySegment(rest[0])
+    ? matches.map((item) => readSegments(item, rest))
+    : readSegments(matches, rest);
+}
+
+/**
+ * Collects a node and all objects and arrays nested below it, in document order
+ * Nodes already visited (circular references) are skipped.
+ *
+ * @param {*} node - Node to start from
+ * @param {number} maxDepth - How many levels below the node to descend
+ * @param {Array} [nodes=[]] - Accumulator for collected nodes
+ * @param {Set} [seen=new Set()] - Nodes already collected
+ * @returns {Array}
+ */
+function collectDescendants(node, maxDepth, nodes = [], seen = new Set()) {
+  if (seen.has(node)) {
+    return nodes;
+  }
+
+  nodes.push(node);
+
+  if ((isObject(node) || Array.isArray(node)) && maxDepth > 0) {
+    seen.add(node);
+    Object.values(node).forEach((child) => collectDescendants(child, maxDepth - 1, nodes, seen));
+  }
+
+  return nodes;
+}
+
+/**
+ * Reads a value from an object using a dot-notation path string
+ *
+ * Supports:
+ * - Simple paths: "user.name"
+ * - Array indices: "users.0" or "users.-1" (negative indices supported)
+ * - Array mapping: "users.[name]" (extracts name from each user)
+ * - Nested array mapping: "users.[profile.email]"
+ * - Array filters: "users.[?active].email", "addresses.[?type='home'].0.line1"
+ * - Wildcard: "*" (returns the current object)
+ * - Key wildcards: "settings.*.enabled" (array of values) or "settings.{*}.enabled" (keyed object)
+ * - Recursive descent: "**.email" (every email at any depth) or "**{2}.email" (depth cap)
+ *
+ * Filter predicates support "=", "!=", ">", "<", ">=", "<=", "in (...)",
+ * plain existence ("[?active]") and negation ("[?!deletedAt]").
+ *
+ * @example
+ * const data = { users: [{ name: "Alice" }, { name: "Bob" }] };
+ * readValue(data, "users.[name]"); // ["Alice", "Bob"]
+ * readValue(data, "users.0.name"); // "Alice"
+ * readValue(data, "users.-1.name"); // "Bob"
+ * readValue(data, "users.[?name!='Alice'].name"); // ["Bob"]
+ *
+ * @example
+ * const prefs = { settings: { email: { enabled: true }, sms: { enabled: false } } };
+ * readValue(prefs, "settings.*.enabled"); // [true, false]
+ * readValue(prefs, "settings.{*}.enabled"); // { email: true, sms: false }
+ *
+ * @example
+ * const doc = { owner: { email: "a@x.com" }, team: [{ email: "b@x.com" }, { email: "c@x.com" }] };
+ * readValue(doc, "**.email"); // ["a@x.com", "b@x.com", "c@x.com"]
+ * readValue(doc, "team.**{1}.email"); // ["b@x.com", "c@x.com"]
+ *
+ * @param {Object} obj - Source object to read from
+ * @param {string} path - Dot-notation path string
+ * @returns {*} The value at the specified path, or undefined if not found
+ * @throws {Error} If path is invalid or empty
+ */
+function readValue(obj, path) {
+  return readSegments(obj, parseReadPath(path));
 }
 
 // ============================================================================
@@ -162,6 +525,7 @@ function readValue(obj, path) {
  * - Array indices: "users.0" or "users.-1"
  * - Array pushing: "users.[]" appends to array
  * - Bulk updates: "users.[name]" updates name in all array items
+ * - Filtered updates: "users.[?active].verified" updates only matching items
  *
  * @example
  * const obj = {};
@@ -177,24 +541,98 @@ function readValue(obj, path) {
  * @throws {Error} If path is invalid
  */
 function writeValue(obj, path, value) {
-  if (typeof path !== "string") {
-    throw new Error(`Path must be a string, received: ${typeof path}`);
-  }
+  return writeIfDefined(obj, parseWritePath(path), value);
+}
+
+/**
+ * Parses a write path into its segments, including the "[]" push segment
+ * Wildcard and recursive descent segments only apply to reads and are dropped, so
+ * "account.*" (a "*" field under a ":account." mapper) writes to account.
+ *
+ * @example
+ * parseWritePath("user.emails.[]");
+ * // [{ type: "key", key: "user" }, { type: "key", key: "emails" }, { type: "push" }]
+ *
+ * @param {string} path - Dot-notation path string
+ * @returns {Array<Object>|null} Path segments, or null if nothing in the path is writable
+ * @throws {Error} If path is not a string or contains an invalid predicate
+ */
+function parseWritePath(path) {
+  const segments = (parsePath(path) || []).filter(({ type }) => type !== "wildcard" && type !== "descend");
+  return segments.length ? segments : null;
+}
 
+/**
+ * Writes a value by walking pre-parsed path segments, skipping undefined values
+ * whose target path does not exist yet (the same rule writeValue applies)
+ *
+ * @param {Object} obj - Target object to write to (mutated in place)
+ * @param {Array<Object>|null} segments - Segments from parseWritePath
+ * @param {*} value - Value to write
+ * @param {boolean} [keepNull=false] - Write null as null rather than as undefined
+ * @returns {Object} The modified object
+ */
+function writeIfDefined(obj, segments, value, keepNull = false) {
   // Skip if trying to write undefined to a non-existent path
-  if (value === undefined && readValue(obj, path) === undefined) {
+  if (isUndefined(value) && isUndefined(readSegments(obj, segments))) {
     return obj;
   }
 
-  const segments = path.match(/(?<=\.|^)(\[([$\w\-]+(\.[$\w\-]+)*)*\])|[$\w\-]+(?=\.|$)/g);
+  return writeSegments(obj, segments, value, keepNull);
+}
+
+/**
+ * Writes a value into the array items matching a filter segment
+ * An index right after the filter ("[?type='home'].0") narrows the matches to one item.
+ *
+ * @param {Array} array - Array being filtered (mutated in place)
+ * @param {Object} predicate - Predicate from parsePredicate
+ * @param {Array<Object>} rest - Segments after the filter
+ * @param {*} value - Value to write
+ * @param {boolean} [keepNull=false] - Write null as null rather than as undefined
+ */
+function writeMatches(array, predicate, rest, value, keepNull = false) {
+  const matchIndexes = array.reduce(
+    (indexes, item, index) => (matchesPredicate(item, predicate) ? [...indexes, index] : indexes),
+    []
+  );
+
+  const [first, ...remaining] = rest;
+  const narrowed = Boolean(first) && first.type === "index";
+  const targetIndexes = narrowed
+    ? [matchIndexes.at(first.index)].filter((index) => !isUndefined(index))
+    : matchIndexes;
+  const targetRest = narrowed ? remaining : rest;
+
+  targetIndexes.forEach((index) => {
+    if (targetRest.length === 0) {
+      array[index] = value;
+    } else if (isObject(array[index]) || Array.isArray(array[index])) {
+      writeIfDefined(array[index], targetRest, value, keepNull);
+    }
+  });
+}
 
+/**
+ * Writes a value to an object by walking pre-parsed path segments
+ * Unlike writeValue, undefined values are written as-is.
+ *
+ * @param {Object} obj - Target object to write to (mutated in place)
+ * @param {Array<Object>|null} segments - Segments from parseWritePath
+ * @param {*} value - Value to write
+ * @param {boolean} [keepNull=false] - Write null as null rather than as undefined
+ * @returns {Object} The modified object
+ */
+function writeSegments(obj, segments, value, keepNull = false) {
   if (!segments) {
     return obj;
   }
 
-  segments.reduce((currentObj, key, index, array) => {
-    const isLastKey = index + 1 === array.length;
-    const nextKey = array[index + 1];
+  let currentObj = obj;
+
+  for (const [index, segment] of segments.entries()) {
+    const isLastKey = index + 1 === segments.length;
+    const nextSegment = segments[index + 1];
 
     /**
      * Determines what value to set at the current key
@@ -203,11 +641,11 @@ function writeValue(obj, path, value) {
      */
     const getNextValue = (existingValue) => {
       if (isLastKey) {
-        return value ?? undefined;
+        return keepNull ? value : value ?? undefined;
       }
 
       // Next key is array-like, ensure current value is an array
-      if (isArrayKey(nextKey) || isIndexKey(nextKey)) {
+      if (isArraySegment(nextSegment)) {
         return (Array.isArray(existingValue) && existingValue) || [];
       }
 
@@ -215,202 +653,3618 @@ function writeValue(obj, path, value) {
       return (isObject(existingValue) && existingValue) || {};
     };
 
-    // Handle array operations
-    if (isArrayKey(key) || isIndexKey(key)) {
-      const cleanKey = key.replace(/(^\[)|(\]$)/g, "");
+    // Check if we need to create a new container
+    const shouldUpdate = (existingValue) =>
+      !(isArraySegment(nextSegment) ? Array.isArray(existingValue) : isObject(existingValue));
 
+    if (segment.type === "push") {
       // Empty brackets "[]" means push to array
-      if (cleanKey === "") {
-        currentObj.push(getNextValue());
-        return currentObj.at(-1);
-      }
-
+      currentObj.push(getNextValue());
+      currentObj = currentObj.at(-1);
+    } else if (segment.type === "index") {
       // Numeric index: update specific array element
-      if (isIndexKey(cleanKey)) {
-        const existingValue = currentObj.at(cleanKey);
-        const shouldUpdate = !(isArrayKey(nextKey) || isIndexKey(nextKey)
-          ? Array.isArray(existingValue)
-          : isObject(existingValue));
-
-        if (shouldUpdate) {
-          const newValue = getNextValue(existingValue);
-          if (/^-\d+$/.test(cleanKey)) {
-            currentObj.splice(cleanKey, 1, newValue);
-          } else {
-            currentObj[cleanKey] = newValue;
-          }
-        }
+      const existingValue = currentObj.at(segment.index);
 
-        return currentObj.at(cleanKey);
+      if (shouldUpdate(existingValue)) {
+        const newValue = getNextValue(existingValue);
+        if (segment.index < 0) {
+          currentObj.splice(segment.index, 1, newValue);
+        } else {
+          currentObj[segment.index] = newValue;
+        }
       }
 
-      // Property path "[profile.name]": update all array items
-      currentObj.forEach((item) => {
-        writeValue(item, cleanKey, getNextValue());
+      currentObj = currentObj.at(segment.index);
+    } else if (segment.type === "project") {
+      // Property path "[profile.name]": update all array items that are containers
+      currentObj.filter(isContainer).forEach((item) => {
+        writeIfDefined(item, segment.segments, getNextValue(), keepNull);
       });
-
-      return currentObj;
-    }
-
-    // Handle object property operations
-    const existingValue = currentObj[key];
-
-    // If current object is an array, update all items
-    if (Array.isArray(currentObj)) {
-      currentObj.forEach((item) => {
-        writeValue(item, key, getNextValue());
+    } else if (segment.type === "filter") {
+      // Filter "[?active]": update matching array items with the rest of the path
+      writeMatches(currentObj, segment.predicate, segments.slice(index + 1), value, keepNull);
+      return obj;
+    } else if (segment.type === "key" && Array.isArray(currentObj)) {
+      // If current object is an array, update all items that are containers
+      currentObj.filter(isContainer).forEach((item) => {
+        writeIfDefined(item, [segment], getNextValue(), keepNull);
       });
-      return currentObj;
-    }
+    } else if (segment.type === "key") {
+      // Handle object property operations
+      const existingValue = currentObj[segment.key];
 
-    // Check if we need to create a new container
-    const shouldUpdate = !(isArrayKey(nextKey) || isIndexKey(nextKey)
-      ? Array.isArray(existingValue)
-      : isObject(existingValue));
+      if (shouldUpdate(existingValue)) {
+        currentObj[segment.key] = getNextValue(existingValue);
+      } else if (isLastKey) {
+        currentObj[segment.key] = value;
+      }
 
-    if (shouldUpdate) {
-      currentObj[key] = getNextValue(existingValue);
-    } else if (isLastKey) {
-      currentObj[key] = value;
+      currentObj = currentObj[segment.key];
     }
-
-    return currentObj[key];
-  }, obj);
+  }
 
   return obj;
 }
 
-// ============================================================================
-// Mapping and Resolution Functions
-// ============================================================================
-
 /**
- * Resolves a single map string to an identifier and value
+ * Writes a value at a path without mutating the object, returning a new object
  *
- * Map syntax:
- * - "user.name" → { identifier: "user.name", value: obj.user.name }
- * - "user.name:fullName" → { identifier: "fullName", value: obj.user.name }
- * - "user.name:" → { identifier: "name", value: obj.user.name }
+ * Only the containers along the path are copied; every untouched branch is shared
+ * with the original, so `===` checks (React, Redux, memoized selectors) see exactly
+ * what changed. Writing a value that is already there returns the object itself.
+ *
+ * Supports the same paths as writeValue:
+ * - Simple paths and indices: "user.name", "users.0", "users.-1"
+ * - Array pushing: "users.[]" appends to a copy of the array
+ * - Bulk updates: "users.[name]" copies every item it writes to
+ * - Filtered updates: "users.[?active].verified" copies only the matching items
  *
  * @example
- * const user = { profile: { name: "Alice" } };
- * resolveMap(user, "profile.name:userName");
- * // { identifier: "userName", value: "Alice" }
+ * const state = { user: { name: "Alice" }, todos: [{ done: false }, { done: true }] };
+ * const next = setIn(state, "user.name", "Bob");
+ * // next = { user: { name: "Bob" }, todos: [...] }
+ * // next !== state, next.user !== state.user, next.todos === state.todos
  *
- * @param {Object} obj - Source object
- * @param {string} map - Map string in format "source:target" or "source"
- * @returns {{identifier: string, value: *}}
- * @throws {Error} If map is not a string
+ * setIn(state, "todos.[?done].done", false).todos[0] === state.todos[0]; // true
+ *
+ * @param {Object|Array} obj - Object to write to (not modified)
+ * @param {string} path - Dot-notation path string
+ * @param {*} value - Value to write
+ * @returns {Object|Array} The new object, or obj itself when nothing changed
+ * @throws {Error} If obj is not an object or an array, or path is invalid
+ */
+function setIn(obj, path, value) {
+  if (!isObject(obj) && !Array.isArray(obj)) {
+    throw new Error(`setIn target must be an object or an array, received: ${typeof obj}`);
+  }
+  return setIfDefined(obj, parseWritePath(path), value);
+}
+
+/**
+ * Copies a container one level deep, keeping class instances' prototypes
+ *
+ * @param {Object|Array} container - Object or array to copy
+ * @returns {Object|Array}
+ */
+const shallowCopy = (container) =>
+  Array.isArray(container)
+    ? container.slice()
+    : Object.assign(Object.create(Object.getPrototypeOf(container)), container);
+
+/**
+ * Replaces array items through a function, returning the array itself when no item changed
+ *
+ * @param {Array} array - Array to map
+ * @param {function(*, number): *} fn - Item mapper
+ * @returns {Array}
+ */
+function mapShared(array, fn) {
+  const mapped = array.map(fn);
+  return mapped.every((item, index) => item === array[index]) ? array : mapped;
+}
+
+/**
+ * Immutable writeIfDefined: skips undefined values whose target path does not exist yet
+ *
+ * @param {Object|Array} obj - Object to write to (not modified)
+ * @param {Array<Object>|null} segments - Segments from parseWritePath
+ * @param {*} value - Value to write
+ * @returns {Object|Array} The new object, or obj itself when nothing changed
+ */
+function setIfDefined(obj, segments, value) {
+  if (isUndefined(value) && isUndefined(readSegments(obj, segments))) {
+    return obj;
+  }
+
+  return setSegments(obj, segments, value);
+}
+
+/**
+ * Immutable writeSegments: copies the containers along pre-parsed path segments,
+ * creating missing ones the same way (array before an index, "[]" or projection,
+ * object otherwise)
+ *
+ * @param {Object|Array} obj - Container to write to (not modified)
+ * @param {Array<Object>|null} segments - Segments from parseWritePath
+ * @param {*} value - Value to write
+ * @returns {Object|Array} The new container, or obj itself when nothing changed
+ */
+function setSegments(obj, segments, value) {
+  if (!segments || segments.length === 0) {
+    return obj;
+  }
+
+  const [segment, ...rest] = segments;
+
+  // Value for a child: the written value at the end of the path, otherwise the child's
+  // container (created if missing or of the wrong kind) with the rest written into it
+  const setChild = (existing) => {
+    if (rest.length === 0) {
+      return isObject(existing) ? value : value ?? undefined;
+    }
+    const fits = isArraySegment(rest[0]) ? Array.isArray(existing) : isObject(existing);
+    return setSegments(fits ? existing : isArraySegment(rest[0]) ? [] : {}, rest, value);
+  };
+
+  // Writes a child at a key or index, copying obj only if the child changes
+  const replaceChild = (key) => {
+    const child = setChild(obj[key]);
+    if (child === obj[key] && key in obj) {
+      return obj;
+    }
+    const copy = shallowCopy(obj);
+    copy[key] = child;
+    return copy;
+  };
+
+  // Writes the path into every item that is a container (like writing into each item)
+  const writeItems = (items, itemSegments) =>
+    mapShared(items, (item) =>
+      isObject(item) || Array.isArray(item) ? setIfDefined(item, itemSegments, value) : item
+    );
+
+  if (segment.type === "key") {
+    // A key on an array updates every item: "users.name"
+    return Array.isArray(obj) ? writeItems(obj, segments) : replaceChild(segment.key);
+  }
+
+  if (segment.type === "push") {
+    return [...obj, setChild(undefined)];
+  }
+
+  if (segment.type === "index") {
+    // Negative indices count from the end; "-1" on an empty array writes the first item
+    return replaceChild(segment.index < 0 ? Math.max(obj.length + segment.index, 0) : segment.index);
+  }
+
+  if (segment.type === "project") {
+    // "users.[profile.name]" writes profile.name in every item
+    return writeItems(obj, [...segment.segments, ...rest]);
+  }
+
+  // Filter: write the rest of the path into matching items, narrowed by a following index
+  const matchIndexes = obj.flatMap((item, index) => (matchesPredicate(item, segment.predicate) ? [index] : []));
+  const [first, ...remaining] = rest;
+  const narrowed = Boolean(first) && first.type === "index";
+  const targetIndexes = new Set(
+    narrowed ? [matchIndexes.at(first.index)].filter((index) => !isUndefined(index)) : matchIndexes
+  );
+  const targetRest = narrowed ? remaining : rest;
+
+  return mapShared(obj, (item, index) => {
+    if (!targetIndexes.has(index)) {
+      return item;
+    }
+    if (targetRest.length === 0) {
+      return value;
+    }
+    return isObject(item) || Array.isArray(item) ? setIfDefined(item, targetRest, value) : item;
+  });
+}
+
+// ============================================================================
+// Core Removal Functions
+// ============================================================================
+
+/**
+ * Removes the values at a path from an object
+ *
+ * Supports:
+ * - Simple paths: "user.password" deletes user.password
+ * - Array indices: "tags.0" or "tags.-1" splices the item out
+ * - Wildcards: "users.*.password" removes password from every child, "internal.*" empties internal
+ * - Recursive descent: "**.password" removes password at any depth
+ * - Projections: "users.[passwordHash]" removes passwordHash from every item
+ * - Filters: "users.[?banned]" removes matching items, "users.[?admin].email" removes
+ *   email from matching items
+ *
+ * Missing paths are ignored.
+ *
+ * @example
+ * const obj = { user: { name: "Alice", password: "secret" }, tags: ["a", "b"] };
+ * removeValue(obj, "user.password");
+ * removeValue(obj, "tags.-1");
+ * // obj = { user: { name: "Alice" }, tags: ["a"] }
+ *
+ * @param {Object|Array} obj - Object to remove from (mutated in place)
+ * @param {string} path - Dot-notation path string
+ * @returns {Object|Array} The modified object
+ * @throws {Error} If path is invalid
+ */
+function removeValue(obj, path) {
+  removeSegments(obj, parseReadPath(path));
+  return obj;
+}
+
+/**
+ * Removes the values at pre-parsed path segments from an object
+ *
+ * @param {*} obj - Object to remove from (mutated in place)
+ * @param {Array<Object>|null} segments - Path segments
+ */
+function removeSegments(obj, segments) {
+  if (!segments || segments.length === 0 || (!isObject(obj) && !Array.isArray(obj))) {
+    return;
+  }
+
+  const [segment, ...rest] = segments;
+  const isLast = rest.length === 0;
+
+  if (segment.type === "key") {
+    if (!isObject(obj)) {
+      return;
+    }
+    if (isLast) {
+      delete obj[segment.key];
+    } else {
+      removeSegments(obj[segment.key], rest);
+    }
+    return;
+  }
+
+  // "internal.*" empties internal, "users.*.password" recurses into every child
+  if (segment.type === "wildcard") {
+    if (!isLast) {
+      Object.values(obj).forEach((child) => removeSegments(child, rest));
+    } else if (Array.isArray(obj)) {
+      obj.length = 0;
+    } else {
+      Object.keys(obj).forEach((key) => delete obj[key]);
+    }
+    return;
+  }
+
+  // "**.password" removes the rest of the path from this node and every node below it
+  if (segment.type === "descend") {
+    collectDescendants(obj, segment.maxDepth).forEach((node) => removeSegments(node, rest));
+    return;
+  }
+
+  // Everything else is an array operation
+  if (!Array.isArray(obj) || segment.type === "push") {
+    return;
+  }
+
+  if (segment.type === "index") {
+    const index = segment.index < 0 ? obj.length + segment.index : segment.index;
+
+    if (index < 0 || index >= obj.length) {
+      return;
+    }
+    if (isLast) {
+      obj.splice(index, 1);
+    } else {
+      removeSegments(obj[index], rest);
+    }
+    return;
+  }
+
+  // "users.[profile.ssn]" removes profile.ssn from every item
+  if (segment.type === "project") {
+    obj.forEach((item) => removeSegments(item, [...segment.segments, ...rest]));
+    return;
+  }
+
+  // Filter: remove matching items, or the rest of the path from them
+  const matchIndexes = obj.flatMap((item, index) => (matchesPredicate(item, segment.predicate) ? [index] : []));
+
+  if (!isLast && !isArraySegment(rest[0])) {
+    matchIndexes.forEach((index) => removeSegments(obj[index], rest));
+    return;
+  }
+
+  // "users.[?banned]" removes every match, "users.[?banned].0" only the first one
+  const remaining = matchIndexes.map((index) => obj[index]);
+  if (isLast) {
+    remaining.length = 0;
+  } else {
+    removeSegments(remaining, rest);
+  }
+
+  // Matches left out of the remaining ones (which keep their order) are removed from obj
+  let next = 0;
+  const removed = new Set(
+    matchIndexes.filter((index) => {
+      if (remaining[next] === obj[index]) {
+        next++;
+        return false;
+      }
+      return true;
+    })
+  );
+
+  obj.splice(0, obj.length, ...obj.filter((item, index) => !removed.has(index)));
+}
+
+/**
+ * Checks if a value is an object or array without any own keys
+ * @param {*} val - Value to check
+ * @returns {boolean}
+ */
+const isEmptyContainer = (val) => (isObject(val) || Array.isArray(val)) && Object.keys(val).length === 0;
+
+/**
+ * Deletes object properties holding a container that was filled before and is empty now
+ * Array items are kept, so the indices of their siblings do not shift.
+ *
+ * @param {*} node - Node to prune (mutated in place)
+ * @param {Set} filled - Containers that were not empty before the removal
+ * @param {Set} [seen=new Set()] - Nodes already visited (circular references)
+ */
+function pruneEmptied(node, filled, seen = new Set()) {
+  if ((!isObject(node) && !Array.isArray(node)) || seen.has(node)) {
+    return;
+  }
+
+  seen.add(node);
+  Object.entries(node).forEach(([key, child]) => {
+    pruneEmptied(child, filled, seen);
+    if (isObject(node) && filled.has(child) && isEmptyContainer(child)) {
+      delete node[key];
+    }
+  });
+}
+
+/**
+ * Removes the values at pre-parsed path segments like removeSegments, then prunes the
+ * containers the removal left empty: "-internal.*" drops internal rather than leaving {}.
+ * Containers that were empty already are kept.
+ *
+ * @param {*} obj - Object to remove from (mutated in place)
+ * @param {Array<Object>|null} segments - Path segments
+ */
+function excludeSegments(obj, segments) {
+  const filled = new Set(
+    collectDescendants(obj, Infinity).filter(
+      (node) => (isObject(node) || Array.isArray(node)) && !isEmptyContainer(node)
+    )
+  );
+
+  removeSegments(obj, segments);
+  pruneEmptied(obj, filled);
+}
+
+// ============================================================================
+// Flattening
+// ============================================================================
+
+/**
+ * Options used by flatten when none are given
+ * - arrays: flatten array items into index paths ("tags.0"); false keeps arrays as values
+ * - maxDepth: how many levels to flatten; deeper values are kept as they are
+ */
+const defaultFlattenOptions = { arrays: true, maxDepth: Infinity };
+
+/**
+ * Merges flatten options with the defaults and validates them
+ *
+ * @param {Object} [options={}] - Options to resolve
+ * @returns {Object} Complete flatten options
+ * @throws {Error} If an option has an invalid value
+ */
+function resolveFlattenOptions(options = {}) {
+  if (!isObject(options)) {
+    throw new Error(`Flatten options must be an object, received: ${typeof options}`);
+  }
+
+  const resolved = { ...defaultFlattenOptions, ...options };
+
+  if (typeof resolved.arrays !== "boolean") {
+    throw new Error(`Arrays must be a boolean, received: ${typeof resolved.arrays}`);
+  }
+  if (!(Number.isInteger(resolved.maxDepth) && resolved.maxDepth > 0) && resolved.maxDepth !== Infinity) {
+    throw new Error(`Max depth must be a positive integer or Infinity, received: ${resolved.maxDepth}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Checks if flatten should descend into a value: plain objects, and arrays unless
+ * options.arrays is false. Dates, Maps and class instances are kept as values.
+ *
+ * @param {*} value - Value to check
+ * @param {Object} options - Resolved flatten options
+ * @returns {boolean}
+ */
+function isFlattenable(value, options) {
+  if (Array.isArray(value)) {
+    return options.arrays;
+  }
+  if (!isObject(value)) {
+    return false;
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Flattens an object into a map of paths to values
+ * Paths use the readValue/writeValue syntax: array items become indices ("tags.0") and keys
+ * that would not read back as plain keys are quoted ("['a.b']", "['0']"), so unflatten
+ * rebuilds the same structure. Empty objects and arrays are kept as values.
+ *
+ * @example
+ * flatten({ address: { geo: { lat: 1.5 } }, tags: ["a", "b"], "x.y": true });
+ * // { "address.geo.lat": 1.5, "tags.0": "a", "tags.1": "b", "['x.y']": true }
+ *
+ * flatten({ address: { geo: { lat: 1.5 } }, tags: ["a"] }, { arrays: false, maxDepth: 1 });
+ * // { "address.geo": { lat: 1.5 }, tags: ["a"] }
+ *
+ * @param {Object|Array} obj - Object or array to flatten
+ * @param {Object} [options] - Flatten options (see defaultFlattenOptions)
+ * @returns {Object} Flat object
+ * @throws {Error} If obj cannot be flattened, an option is invalid or obj has a circular reference
+ */
+function flatten(obj, options) {
+  const resolved = resolveFlattenOptions(options);
+
+  if (!isFlattenable(obj, { ...resolved, arrays: true })) {
+    throw new Error(`Only objects and arrays can be flattened, received: ${typeof obj}`);
+  }
+
+  const flat = {};
+  const ancestors = new Set();
+
+  const visit = (value, path, depth) => {
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [String(index), item])
+      : Object.keys(value).map((key) => [printKey(key), value[key]]);
+
+    if (path && (!entries.length || depth > resolved.maxDepth || !isFlattenable(value, resolved))) {
+      flat[path] = value;
+      return;
+    }
+    if (ancestors.has(value)) {
+      throw new Error(`Cannot flatten a circular reference at path: ${path}`);
+    }
+
+    ancestors.add(value);
+    entries.forEach(([piece, item]) => {
+      const itemPath = path ? `${path}.${piece}` : piece;
+
+      if (isFlattenable(item, resolved)) {
+        visit(item, itemPath, depth + 1);
+      } else {
+        flat[itemPath] = item;
+      }
+    });
+    ancestors.delete(value);
+  };
+
+  visit(obj, "", 1);
+  return flat;
+}
+
+/**
+ * Rebuilds a nested object from a map of paths to values by writing each entry in order
+ * with writeValue, so containers are inferred the same way: a path followed by an index,
+ * "[]" or projection becomes an array ("tags.0", "tags.-1", "tags.[]"), anything else an
+ * object. The result is an array when the first path starts with an index. Unlike
+ * writeValue, null values are written as null, so unflatten(flatten(obj)) keeps them.
+ *
+ * @example
+ * unflatten({ "address.geo.lat": 1.5, "tags.0": "a", "tags.[]": "b", "['x.y']": true });
+ * // { address: { geo: { lat: 1.5 } }, tags: ["a", "b"], "x.y": true }
+ *
+ * @param {Object} flat - Flat object whose keys are paths
+ * @returns {Object|Array} Nested object
+ * @throws {Error} If flat is not an object or a path is invalid
+ */
+function unflatten(flat) {
+  if (!isObject(flat)) {
+    throw new Error(`Flat object must be an object, received: ${typeof flat}`);
+  }
+
+  const entries = Object.entries(flat).map(([path, value]) => [parseWritePath(path), value]);
+  const [first] = entries.find(([segments]) => segments) || [null];
+
+  return entries.reduce(
+    (nested, [segments, value]) => writeIfDefined(nested, segments, value, true),
+    first && isArraySegment(first[0]) ? [] : {}
+  );
+}
+
+// ============================================================================
+// Value Transforms
+// ============================================================================
+
+/**
+ * Registry of named value transforms usable in map strings ("email|trim|lower")
+ * Each transform receives the value followed by any arguments from the map string.
+ */
+const transformRegistry = new Map([
+  ["trim", (val) => (typeof val === "string" ? val.trim() : val)],
+  ["lower", (val) => (typeof val === "string" ? val.toLowerCase() : val)],
+  ["upper", (val) => (typeof val === "string" ? val.toUpperCase() : val)],
+  ["string", (val) => (isNull(val) ? val : String(val))],
+  ["number", (val) => (isNull(val) ? val : Number(val))],
+  ["round", (val, digits = 0) => (typeof val === "number" ? Number(val.toFixed(digits)) : val)],
+  ["join", (val, separator = ",") => (Array.isArray(val) ? val.join(separator) : val)],
+  [
+    "isoDate",
+    (val) => {
+      const date = val instanceof Date ? val : new Date(val);
+      return isNull(val) || Number.isNaN(date.getTime()) ? val : date.toISOString();
+    },
+  ],
+]);
+
+/**
+ * Registers a named transform for use in map strings
+ *
+ * @example
+ * mapObject.registerTransform("prefix", (val, prefix) => `${prefix}${val}`);
+ * mapObject(user, "id|prefix('usr_'):userId");
+ *
+ * @param {string} name - Transform name (letters, digits, "_", "$" or "-")
+ * @param {Function} fn - Transform function: (value, ...args) => newValue
+ * @throws {Error} If name or fn is invalid
+ */
+function registerTransform(name, fn) {
+  if (typeof name !== "string" || !/^[$\w-]+$/.test(name)) {
+    throw new Error(`Transform name must be a word string, received: ${name}`);
+  }
+  if (typeof fn !== "function") {
+    throw new Error(`Transform must be a function, received: ${typeof fn}`);
+  }
+
+  transformRegistry.set(name, fn);
+}
+
+/**
+ * Parses a literal used as a transform argument
+ * Supports numbers, quoted strings, true, false and null; anything else is a bare string.
+ *
+ * @param {string} literal - Literal source text
+ * @returns {*}
+ */
+function parseLiteral(literal) {
+  const text = literal.trim();
+
+  if (/^(['"])[\s\S]*\1$/.test(text)) {
+    return unescapeText(text.slice(1, -1));
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+
+  const keywords = { true: true, false: false, null: null };
+  return text in keywords ? keywords[text] : text;
+}
+
+/**
+ * Parses a single transform spec into its name and arguments
+ * Only the syntax is checked here; see assertTransform for the registry lookup.
+ *
+ * @example
+ * parseTransform("round(2)") // { type: "transform", name: "round", args: [2] }
+ *
+ * @param {string} spec - Transform spec, e.g. "trim" or "round(2)"
+ * @param {string} map - The map string the spec came from (for error messages)
+ * @returns {{type: "transform", name: string, args: Array}}
+ * @throws {Error} If the spec is malformed
+ */
+function parseTransform(spec, map) {
+  const match = spec.trim().match(/^([$\w-]+)(?:\((.*)\))?$/);
+
+  if (!match) {
+    throw new Error(`Invalid transform "${spec}" in map: ${map}`);
+  }
+
+  const [, name, argList] = match;
+  const args = argList && argList.trim() ? splitTopLevel(argList, [","]).map(parseLiteral) : [];
+  return { type: "transform", name, args };
+}
+
+/**
+ * Ensures a parsed transform names a registered transform
+ *
+ * @param {{name: string}} transform - Parsed transform
+ * @param {string} map - The map string the transform came from (for error messages)
+ * @throws {Error} If the transform is not registered
+ */
+function assertTransform(transform, map) {
+  if (!transformRegistry.has(transform.name)) {
+    throw new Error(`Unknown transform "${transform.name}" in map: ${map}`);
+  }
+}
+
+/**
+ * Applies a chain of parsed transforms to a value, left to right
+ * Undefined values are passed through untouched so missing fields stay missing.
+ *
+ * @param {*} value - Value to transform
+ * @param {Array<{name: string, args: Array}>} transforms - Parsed transform chain
+ * @returns {*}
+ */
+function applyTransforms(value, transforms) {
+  if (isUndefined(value)) {
+    return value;
+  }
+
+  return transforms.reduce(
+    (currentValue, { name, args }) => transformRegistry.get(name)(currentValue, ...args),
+    value
+  );
+}
+
+/**
+ * Applies a chain of parsed transforms like applyTransforms, awaiting each step
+ * so transforms may return promises (lookups, URL signing, ...)
+ *
+ * @param {*} value - Value to transform
+ * @param {Array<{name: string, args: Array}>} transforms - Parsed transform chain
+ * @returns {Promise<*>}
+ */
+async function applyTransformsAsync(value, transforms) {
+  if (isUndefined(value)) {
+    return value;
+  }
+
+  let currentValue = value;
+  for (const { name, args } of transforms) {
+    currentValue = await transformRegistry.get(name)(currentValue, ...args);
+  }
+  return currentValue;
+}
+
+// ============================================================================
+// Spec Parser
+// ============================================================================
+
+/**
+ * Wraps the items of an array field as parser entries
+ *
+ * @param {Array} items - Array field items
+ * @returns {Array<{item: *, spec: *, offset: number}>}
+ */
+const toEntries = (items) => items.map((item) => ({ item, spec: item, offset: 0 }));
+
+/**
+ * Parses a path into a path node
+ * Empty paths are kept (with null segments) so validate can point at them; planning rejects them.
+ *
+ * @param {string} path - Path string
+ * @param {number} offset - Offset of the path in its spec string
+ * @returns {{type: "path", raw: string, offset: number, segments: Array<Object>|null}}
+ * @throws {Error} If a predicate in the path is invalid
+ */
+function parsePathNode(path, offset) {
+  return { type: "path", raw: path, offset, segments: path === "" ? null : parsePath(path) };
+}
+
+/**
+ * Splits the optional marker off a source expression: "middleName?" → "middleName"
+ * Optional fields are not reported as missing in strict mode.
+ *
+ * @param {string} expression - Source expression (paths and fallbacks, without transforms)
+ * @returns {{text: string, optional: boolean}}
+ */
+const splitOptional = (expression) =>
+  /(^|[^\\])\?$/.test(expression)
+    ? { text: expression.slice(0, -1), optional: true }
+    : { text: expression, optional: false };
+
+/**
+ * Parses an "@if" condition into a condition node
+ * The expression uses the filter predicate grammar: "flag", "!flag", "type='company'", "type!='person'".
+ *
+ * @example
+ * parseConditionNode("@if type='company'", 0, "@if type='company'");
+ * // { type: "condition", raw: "@if type='company'", offset: 0, predicate: { path: "type", operator: "=", ... } }
+ *
+ * @param {string} condition - Condition string starting with "@if"
+ * @param {number} offset - Offset of the condition in its spec string
+ * @param {string} map - The map string the condition belongs to (for error messages)
+ * @returns {{type: "condition", raw: string, offset: number, predicate: Object}}
+ * @throws {Error} If the condition expression is malformed
+ */
+function parseConditionNode(condition, offset, map) {
+  const predicate = parsePredicate(condition.slice(3), map, `condition "${condition}" in map: ${map}`);
+  return { type: "condition", raw: condition, offset, predicate };
+}
+
+/**
+ * Splits an "@if" condition off a map string: "kyc.status @if ekycRequested" → "kyc.status"
+ *
+ * @param {string} map - Map or exclusion string
+ * @param {number} offset - Offset of the map in its spec string
+ * @returns {{text: string, condition: Object|null}} The map without its condition, and the condition node
+ * @throws {Error} If the condition expression is malformed
+ */
+function splitCondition(map, offset) {
+  const [field, condition] = scanTopLevel(map, ["@if"]);
+
+  if (!condition) {
+    return { text: map, condition: null };
+  }
+
+  const conditionOffset = condition.offset - 3;
+  return {
+    text: field.text.trimEnd(),
+    condition: parseConditionNode(map.slice(conditionOffset), offset + conditionOffset, map),
+  };
+}
+
+/**
+ * Parses a single map string ("source??fallback|transform:target") into a field node
+ *
+ * @example
+ * parseFieldNode("nickname??username|trim:name", 0);
+ * // {
+ * //   type: "field",
+ * //   raw: "nickname??username|trim:name",
+ * //   offset: 0,
+ * //   sources: [<path "nickname">, <path "username">],
+ * //   optional: false,
+ * //   transforms: [{ type: "transform", name: "trim", args: [], offset: 19 }],
+ * //   target: <path "name">,
+ * //   condition: null
+ * // }
+ *
+ * @param {string} map - Map string
+ * @param {number} offset - Offset of the map in its spec string
+ * @returns {Object} Field node
+ * @throws {Error} If map is not a string, or a path, transform or condition in it is malformed
+ */
+function parseFieldNode(map, offset) {
+  if (typeof map !== "string") {
+    throw new Error(`Map must be a string, received: ${typeof map}`);
+  }
+
+  // Split off the condition: "kyc.status:kycStatus @if ekycRequested" → "kyc.status:kycStatus"
+  const { text, condition } = splitCondition(map, offset);
+
+  // Split on colon: "user.name|trim:fullName" → ["user.name|trim", "fullName"]
+  const [source, target] = scanTopLevel(text, [":"]);
+
+  // Split off transform chain: "user.name|trim|round(2)" → ["user.name", "trim", "round(2)"]
+  const [expression, ...transformParts] = scanTopLevel(source.text, ["|"]);
+
+  // Split off the optional marker: "middleName?" → "middleName"
+  const { text: expressionText, optional } = splitOptional(expression.text);
+
+  // Split off fallbacks: "nickname??username??='anon'" → ["nickname", "username", "='anon'"]
+  const sources = scanTopLevel(expressionText, ["??"]).map(({ text, offset: sourceOffset }) =>
+    text.startsWith("=")
+      ? { type: "literal", raw: text, offset: offset + sourceOffset, value: parseLiteral(text.slice(1)) }
+      : parsePathNode(text, offset + sourceOffset)
+  );
+
+  return {
+    type: "field",
+    raw: map,
+    offset,
+    sources,
+    optional,
+    transforms: transformParts.map(({ text, offset: transformOffset }) => ({
+      ...parseTransform(text, map),
+      offset: offset + transformOffset,
+    })),
+    target: target && target.text ? parsePathNode(target.text, offset + target.offset) : null,
+    condition,
+  };
+}
+
+/**
+ * Parses an exclusion ("-path") into an exclusion node
+ *
+ * @param {string} map - Exclusion string (see isExclusion)
+ * @param {number} offset - Offset of the exclusion in its spec string
+ * @returns {{type: "exclusion", raw: string, offset: number, path: Object, condition: Object|null}}
+ * @throws {Error} If the exclusion has a target, transforms, fallbacks or "?", or an invalid path or condition
+ */
+function parseExclusionNode(map, offset) {
+  const { text, condition } = splitCondition(map, offset);
+  const path = text.slice(1);
+
+  if (scanTopLevel(path, ["??", ":", "|"]).length > 1 || splitOptional(path).optional) {
+    throw new Error(`Exclusion must be a plain path without a target, transforms, fallbacks or "?": ${map}`);
+  }
+
+  return { type: "exclusion", raw: map, offset, path: parsePathNode(path, offset + 1), condition };
+}
+
+/**
+ * Parses a computed field object ({ target: fn }) into computed nodes, one per target
+ *
+ * @example
+ * parseComputedNodes({ fullName: (src) => `${src.first} ${src.last}` });
+ * // [{ type: "computed", raw: "fullName", offset: 0, target: <path "fullName">, fn: [Function] }]
+ *
+ * @param {Object} computed - Object mapping target paths to functions of the source object
+ * @returns {Array<{type: "computed", raw: string, offset: number, target: Object, fn: Function}>}
+ * @throws {Error} If a value is not a function, or a target path is invalid
+ */
+function parseComputedNodes(computed) {
+  return Object.entries(computed).map(([target, fn]) => {
+    if (typeof fn !== "function") {
+      throw new Error(`Computed field "${target}" must be a function, received: ${typeof fn}`);
+    }
+    return { type: "computed", raw: target, offset: 0, target: parsePathNode(target, 0), fn };
+  });
+}
+
+/**
+ * Parses a mapper prefix into a mapper node
+ *
+ * @param {string} mapper - Mapper string (see isMapper)
+ * @param {number} offset - Offset of the mapper in its spec string
+ * @returns {{type: "mapper", raw: string, offset: number, readPath: Object|null, writePath: Object|null}}
+ */
+function parseMapperNode(mapper, offset) {
+  const { readPath, writePath } = parseMapper(mapper);
+  const [, writePart] = scanTopLevel(mapper, [":"]);
+  const writeOffset = offset + (writePart ? writePart.offset : 0);
+
+  return {
+    type: "mapper",
+    raw: mapper,
+    offset,
+    readPath: readPath && parsePathNode(readPath, mapper.startsWith(":") ? writeOffset : offset),
+    writePath: writePath && parsePathNode(writePath, writeOffset),
+  };
+}
+
+/**
+ * Parses a single group entry into its nodes
+ * String items holding several fields become a nested group, objects become computed
+ * fields; other items are skipped.
+ *
+ * @param {{item: *, spec: *, offset: number}} entry - Group item with its spec and offset
+ * @param {Function} parseEntry - Entry parser to use for nested entries (see parseGroupNode)
+ * @returns {Array<Object>} Nodes, in order
+ * @throws {Error} If the item is malformed
+ */
+function parseItemNodes({ item, spec, offset }, parseEntry) {
+  if (typeof item === "string") {
+    const parts = scanTopLevel(item, ["::", ","]);
+
+    // Handle multi-field syntax: "name,email" or "name::email"
+    if (parts.length > 1) {
+      const entries = parts.map(({ text, offset: partOffset }) => ({ item: text, spec, offset: offset + partOffset }));
+      return [parseGroupNode(entries, parseEntry)];
+    }
+    if (isCondition(item)) {
+      return [parseConditionNode(item, offset, item)];
+    }
+    return [isExclusion(item) ? parseExclusionNode(item, offset) : parseFieldNode(item, offset)];
+  }
+  if (Array.isArray(item)) {
+    // Nested array: recursively parse
+    return [parseGroupNode(toEntries(item), parseEntry)];
+  }
+  if (isObject(item)) {
+    // Computed fields: { fullName: (src) => ... }
+    return parseComputedNodes(item);
+  }
+  return [];
+}
+
+/**
+ * Parses a group entry with the given node parser, letting the first error through
+ *
+ * @param {{item: *, spec: *, offset: number}} entry - Group item with its spec and offset
+ * @param {function(): Array<Object>} parseNodes - Parses the entry into its nodes
+ * @returns {Array<Object>}
+ */
+const parseEntryStrict = (entry, parseNodes) => parseNodes();
+
+/**
+ * Parses group entries into a group node, honoring a mapper prefix in first position
+ *
+ * Every entry, including the mapper prefix, is parsed through parseEntry. The default lets
+ * errors through; validate passes one that records them and carries on with the next entry.
+ *
+ * @param {Array<{item: *, spec: *, offset: number}>} entries - Group items with their spec and offset
+ * @param {function(Object, function(): Array<Object>): Array<Object>} [parseEntry=parseEntryStrict] -
+ *   Called with each entry and a function that parses it into its nodes
+ * @returns {{type: "group", mapper: Object|null, items: Array<Object>}}
+ */
+function parseGroupNode(entries, parseEntry = parseEntryStrict) {
+  const [first] = entries;
+  const hasMapper = Boolean(first) && typeof first.item === "string" && isMapper(first.item);
+  const [mapper = null] = hasMapper ? parseEntry(first, () => [parseMapperNode(first.item, first.offset)]) : [];
+  const items = entries
+    .slice(hasMapper ? 1 : 0)
+    .flatMap((entry) => parseEntry(entry, () => parseItemNodes(entry, parseEntry)));
+
+  return { type: "group", mapper, items };
+}
+
+/**
+ * Parses an array of map strings into a group node
+ *
+ * @param {Array<string|Array|Object>} mapArray - Array of map strings, nested arrays or computed field objects
+ * @returns {Object} Group node
+ * @throws {Error} If mapArray is not an array, or any map in it is malformed
+ */
+function parseMapArray(mapArray) {
+  if (!Array.isArray(mapArray)) {
+    throw new Error(`Map array must be an array, received: ${typeof mapArray}`);
+  }
+
+  return parseGroupNode(toEntries(mapArray));
+}
+
+/**
+ * Parses a field specification into an AST
+ *
+ * The runtime, compile, invert and the other spec consumers are all driven by this
+ * tree, so tools built on it see exactly what mapObject sees. Nodes:
+ *
+ * - group: { type: "group", mapper: mapper|null, items: Array<group|field|exclusion|condition|computed> }
+ * - mapper: { type: "mapper", raw, offset, readPath: path|null, writePath: path|null }
+ * - field: { type: "field", raw, offset, sources: Array<path|literal>, optional, transforms, target: path|null,
+ *   condition: condition|null }
+ * - exclusion: { type: "exclusion", raw, offset, path: path, condition: condition|null }
+ * - condition: { type: "condition", raw, offset, predicate }
+ * - computed: { type: "computed", raw, offset, target: path, fn }
+ * - transform: { type: "transform", name, args, offset }
+ * - literal: { type: "literal", raw, offset, value }
+ * - path: { type: "path", raw, offset, segments }
+ *
+ * Path segments are the same objects the reader and writer walk ({ type: "key", key },
+ * { type: "index", index }, { type: "filter", predicate }, ...). Offsets point into the
+ * spec string; items of array specs count from the start of their own string.
+ * Transform names are not checked against the registry, so specs using transforms
+ * registered later still parse.
+ *
+ * @example
+ * mapObject.parse("user:account.::name|trim,email:mail");
+ * // {
+ * //   type: "group",
+ * //   mapper: {
+ * //     type: "mapper", raw: "user:account.", offset: 0, readPath: <path "user">, writePath: <path "account">
+ * //   },
+ * //   items: [<field "name|trim">, <field "email:mail">]
+ * // }
+ *
+ * @param {string|Array|Object} spec - Field specification (map string, array or computed field object)
+ * @returns {Object} Group node
+ * @throws {Error} If spec is not a string, an array or an object, or is malformed
+ */
+function parse(spec) {
+  return parseSpec(spec);
+}
+
+/**
+ * Parses a field specification into an AST, parsing every entry through parseEntry
+ *
+ * @param {string|Array|Object} spec - Field specification (map string, array or computed field object)
+ * @param {Function} [parseEntry=parseEntryStrict] - Entry parser (see parseGroupNode)
+ * @returns {Object} Group node
+ * @throws {Error} If spec is not a string, an array or an object, or parseEntry lets an error through
+ */
+function parseSpec(spec, parseEntry = parseEntryStrict) {
+  if (typeof spec === "string") {
+    const entries = scanTopLevel(spec, ["::", ","]).map(({ text, offset }) => ({ item: text, spec, offset }));
+    return parseGroupNode(entries, parseEntry);
+  }
+  if (Array.isArray(spec)) {
+    return parseGroupNode(toEntries(spec), parseEntry);
+  }
+  if (isObject(spec)) {
+    return parseGroupNode([{ item: spec, spec, offset: 0 }], parseEntry);
+  }
+
+  throw new Error(`Spec must be a string, an array or an object, received: ${typeof spec}`);
+}
+
+// ============================================================================
+// Spec Printer
+// ============================================================================
+
+/**
+ * Formats a literal so parseLiteral reads it back unchanged
+ *
+ * @param {*} value - Literal value
+ * @returns {string}
+ */
+const printLiteral = (value) => (typeof value === "string" ? `'${value.replace(/[\\']/g, "\\$&")}'` : String(value));
+
+/**
+ * Formats an object key, quoting it when it would not read back as the same plain key
+ *
+ * @param {string} key - Object key
+ * @returns {string}
+ */
+const printKey = (key) =>
+  /^[$\p{L}\p{N}\p{M}_][$\p{L}\p{N}\p{M}_-]*$/u.test(key) && !isIndexKey(key)
+    ? key
+    : `[${printLiteral(key)}]`;
+
+/**
+ * Formats a filter predicate
+ *
+ * @param {Object} predicate - Predicate from parsePredicate
+ * @returns {string}
+ */
+function printPredicate(predicate) {
+  const path = printSegments(predicate.segments);
+
+  if (predicate.operator === "truthy") {
+    return path;
+  }
+  if (predicate.operator === "falsy") {
+    return `!${path}`;
+  }
+  if (predicate.operator === "in") {
+    return `${path} in (${predicate.value.map(printLiteral).join(",")})`;
+  }
+  return `${path}${predicate.operator}${printLiteral(predicate.value)}`;
+}
+
+/**
+ * Formats path segments back into a path string
+ *
+ * @param {Array<Object>} segments - Path segments
+ * @returns {string}
+ */
+function printSegments(segments) {
+  return segments
+    .map((segment) => {
+      switch (segment.type) {
+        case "key":
+          return printKey(segment.key);
+        case "index":
+          return String(segment.index);
+        case "wildcard":
+          return segment.keyed ? "{*}" : "*";
+        case "descend":
+          return segment.maxDepth === Infinity ? "**" : `**{${segment.maxDepth}}`;
+        case "push":
+          return "[]";
+        case "project":
+          return `[${printSegments(segment.segments)}]`;
+        case "filter":
+          return `[?${printPredicate(segment.predicate)}]`;
+        default:
+          throw new Error(`Cannot print path segment of type: ${segment.type}`);
+      }
+    })
+    .join(".");
+}
+
+/**
+ * Formats a path node back into a path string
+ * Paths with no usable segment keep their original text.
+ *
+ * @param {Object} node - Path node
+ * @returns {string}
+ */
+const printPath = (node) => (node.segments ? printSegments(node.segments) : node.raw);
+
+/**
+ * Formats an optional condition node as a " @if ..." suffix
+ *
+ * @param {Object|null} node - Condition node
+ * @returns {string}
+ */
+const printCondition = (node) => (node ? ` @if ${printPredicate(node.predicate)}` : "");
+
+/**
+ * Formats a field node back into a map string
+ *
+ * @param {Object} node - Field node
+ * @returns {string}
+ */
+function printField(node) {
+  const sources = node.sources.map((source) =>
+    source.type === "literal" ? `=${printLiteral(source.value)}` : printPath(source)
+  );
+  const transforms = node.transforms.map(({ name, args }) =>
+    args.length ? `|${name}(${args.map(printLiteral).join(",")})` : `|${name}`
+  );
+  const optional = node.optional ? "?" : "";
+  const target = node.target ? `:${printPath(node.target)}` : "";
+
+  return `${sources.join("??")}${optional}${transforms.join("")}${target}${printCondition(node.condition)}`;
+}
+
+/**
+ * Formats a mapper node back into a mapper prefix
+ *
+ * @param {Object} node - Mapper node
+ * @returns {string}
+ */
+function printMapper(node) {
+  const readPath = node.readPath && printPath(node.readPath);
+  const writePath = node.writePath && printPath(node.writePath);
+
+  if (readPath && writePath) {
+    return readPath === writePath ? `:${writePath}.` : `${readPath}:${writePath}.`;
+  }
+  return readPath ? `${readPath}.` : `:${writePath}`;
+}
+
+/**
+ * Formats a group node back into a spec
+ * Groups made only of fields print as a "mapper::field,field" string, groups holding
+ * nested groups or computed fields as an array.
+ *
+ * @param {Object} node - Group node
+ * @returns {string|Array}
+ */
+function printGroup(node) {
+  const mapper = node.mapper ? [printMapper(node.mapper)] : [];
+
+  if (node.items.some((item) => item.type === "group" || item.type === "computed")) {
+    return [...mapper, ...node.items.map(print)];
+  }
+
+  const fields = node.items.map(print).join(",");
+  return mapper.length ? [mapper[0], fields].filter(Boolean).join("::") : fields;
+}
+
+/**
+ * Serializes an AST node from mapObject.parse back into a spec
+ *
+ * Printing normalizes spelling (quotes, mapper forms, "::" vs ","), so the output
+ * may differ from the original text but always parses to an equivalent tree. Nodes can
+ * be edited or built by hand before printing.
+ *
+ * @example
+ * const ast = mapObject.parse(["user.", "name|trim"]);
+ * ast.items[0].target = mapObject.parse("fullName").items[0].sources[0];
+ * mapObject.print(ast); // "user.::name|trim:fullName"
+ *
+ * @param {Object} node - Group, field, exclusion, condition, computed, mapper or path node
+ * @returns {string|Array|Object} Spec string, an array spec for groups with nested groups or
+ *   computed fields, or a { target: fn } object for computed nodes
+ * @throws {Error} If the node type is unknown
+ */
+function print(node) {
+  switch (node && node.type) {
+    case "group":
+      return printGroup(node);
+    case "field":
+      return printField(node);
+    case "exclusion":
+      return `-${printPath(node.path)}${printCondition(node.condition)}`;
+    case "condition":
+      return printCondition(node).trimStart();
+    case "computed":
+      return { [printPath(node.target)]: node.fn };
+    case "mapper":
+      return printMapper(node);
+    case "path":
+      return printPath(node);
+    default:
+      throw new Error(`Cannot print node of type: ${node && node.type}`);
+  }
+}
+
+// ============================================================================
+// Mapping and Resolution Functions
+// ============================================================================
+
+/**
+ * Reads the first value that is not undefined from a list of parsed fallbacks
+ * Later alternatives are only read when every earlier one is undefined, so an explicit
+ * null wins over them.
+ *
+ * @example
+ * readFirstDefined({ username: "al" }, parseFieldNode("nickname??username", 0).sources); // "al"
+ * readFirstDefined({}, parseFieldNode("status??='pending'", 0).sources); // "pending"
+ *
+ * @param {Object} obj - Source object
+ * @param {Array<Object>} sources - Path and literal nodes, in priority order
+ * @returns {*}
+ */
+function readFirstDefined(obj, sources) {
+  for (const source of sources) {
+    const value = source.type === "literal" ? source.value : readSegments(obj, source.segments);
+
+    if (!isUndefined(value)) {
+      return value;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Ensures a path node is not empty (parse keeps empty paths for validate to report)
+ *
+ * @param {Object} node - Path node from parsePathNode
+ * @throws {Error} If the path is empty
+ */
+function assertPathNode(node) {
+  if (node.raw === "") {
+    throw new Error("Path cannot be an empty string");
+  }
+}
+
+/**
+ * Turns a field node into a field plan: the node plus where its value is written
+ *
+ * @example
+ * planField(parseFieldNode("nickname??username|trim:name", 0), "account.");
+ * // {
+ * //   type: "field",
+ * //   node: <field "nickname??username|trim:name">,
+ * //   identifier: "account.name",
+ * //   writeSegments: [{ type: "key", key: "account" }, { type: "key", key: "name" }]
+ * // }
+ *
+ * @param {Object} node - Field node from parseFieldNode
+ * @param {string} [identifierPrefix=""] - Write prefix inherited from enclosing mappers
+ * @returns {Object} Field plan
+ * @throws {Error} If the field has an empty path, references an unknown transform,
+ *   or starts with a literal default but has no target
+ */
+function planField(node, identifierPrefix = "") {
+  const [firstSource] = node.sources;
+
+  node.sources.filter(({ type }) => type === "path").forEach(assertPathNode);
+  node.transforms.forEach((transform) => assertTransform(transform, node.raw));
+
+  if (firstSource.type === "literal" && !node.target) {
+    throw new Error(`Map with a literal source needs a target path: ${node.raw}`);
+  }
+
+  // Use target path if provided, otherwise use source path as identifier
+  const identifier = `${identifierPrefix}${(node.target || firstSource).raw}`;
+
+  return { type: "field", node, identifier, writeSegments: parseWritePath(identifier) };
+}
+
+/**
+ * Turns an exclusion node into an exclusion plan: the result path it removes
+ *
+ * @example
+ * planExclusion(parseExclusionNode("-secret", 0), "account.");
+ * // { type: "exclusion", node: <exclusion "-secret">, identifier: "account.secret", segments: [...] }
+ *
+ * @param {Object} node - Exclusion node from parseExclusionNode
+ * @param {string} [identifierPrefix=""] - Write prefix inherited from enclosing mappers
+ * @returns {Object} Exclusion plan
+ * @throws {Error} If the exclusion path is empty
+ */
+function planExclusion(node, identifierPrefix = "") {
+  assertPathNode(node.path);
+
+  const identifier = `${identifierPrefix}${node.path.raw}`;
+  return { type: "exclusion", node, identifier, segments: parseReadPath(identifier) };
+}
+
+/**
+ * Turns a computed node into a computed plan: the node plus where its return value is written
+ *
+ * @param {Object} node - Computed node from parseComputedNodes
+ * @param {string} [identifierPrefix=""] - Write prefix inherited from enclosing mappers
+ * @returns {{type: "computed", node: Object, identifier: string, writeSegments: Array<Object>|null}}
+ * @throws {Error} If the target path is empty
+ */
+function planComputed(node, identifierPrefix = "") {
+  assertPathNode(node.target);
+
+  const identifier = `${identifierPrefix}${node.target.raw}`;
+  return { type: "computed", node, identifier, writeSegments: parseWritePath(identifier) };
+}
+
+/**
+ * Resolves the value of a field plan against a source object
+ *
+ * @param {Object} obj - Source object
+ * @param {Object} field - Field plan from planField
+ * @returns {*}
+ */
+function resolveField(obj, field) {
+  return applyTransforms(readFirstDefined(obj, field.node.sources), field.node.transforms);
+}
+
+/**
+ * Resolves the value of a field or computed plan against a (scoped) source object
+ *
+ * @param {Object} obj - Source object, already scoped by the group's read path
+ * @param {Object} item - Field plan from planField, or computed plan from planComputed
+ * @returns {*}
+ */
+const resolveItem = (obj, item) => (item.type === "computed" ? item.node.fn(obj) : resolveField(obj, item));
+
+/**
+ * Resolves a single map string to an identifier and value
+ *
+ * Map syntax:
+ * - "user.name" → { identifier: "user.name", value: obj.user.name }
+ * - "user.name:fullName" → { identifier: "fullName", value: obj.user.name }
+ * - "user.name:" → { identifier: "name", value: obj.user.name }
+ * - "user.email|trim|lower:email" → { identifier: "email", value: transformed obj.user.email }
+ * - "nickname??username:name" → { identifier: "name", value: obj.nickname, or obj.username when undefined }
+ * - "status??='pending'" → { identifier: "status", value: obj.status, or "pending" when undefined }
+ * - "kyc.status @if ekycRequested" → { identifier: "kyc.status", value: undefined } unless obj.ekycRequested
+ *
+ * Fallbacks are tried left to right and the first value that is not undefined wins, so
+ * an explicit null is kept. An alternative starting with "=" is a literal default rather than a path.
+ *
+ * @example
+ * const user = { profile: { name: "Alice" } };
+ * resolveMap(user, "profile.name:userName");
+ * // { identifier: "userName", value: "Alice" }
+ *
+ * @example
+ * resolveMap(user, "nickname??profile.name:displayName");
+ * // { identifier: "displayName", value: "Alice" }
+ *
+ * @param {Object} obj - Source object
+ * @param {string} map - Map string in format "source??fallback|transform:target" or "source"
+ * @returns {{identifier: string, value: *}}
+ * @throws {Error} If map is not a string, references an unknown transform,
+ *   or starts with a literal default but has no target
  */
 function resolveMap(obj, map) {
-  if (typeof map !== "string") {
-    throw new Error(`Map must be a string, received: ${typeof map}`);
+  const field = planField(parseFieldNode(map, 0));
+  return {
+    identifier: field.identifier,
+    value: matchesCondition(obj, field.node.condition) ? resolveField(obj, field) : undefined,
+  };
+}
+
+/**
+ * Checks if a mapper path is made of keys and indices only
+ *
+ * @param {string} path - Read or write path of a mapper prefix
+ * @returns {boolean}
+ */
+const isMapperPath = (path) =>
+  splitTopLevel(path, ["."]).every((piece) => {
+    const segment = !piece.startsWith("[?") && parseSegment(piece, path);
+    return Boolean(segment) && (segment.type === "key" || segment.type === "index");
+  });
+
+/**
+ * Parses a mapper prefix into the paths it reads from and writes to
+ * ":" and the trailing "." only count outside quotes and escapes, as in field paths.
+ *
+ * @example
+ * parseMapper("personalInfo:person.") // { readPath: "personalInfo", writePath: "person" }
+ * parseMapper(":address.") // { readPath: "address", writePath: "address" }
+ * parseMapper(":address") // { readPath: null, writePath: "address" }
+ * parseMapper("['a:b'].") // { readPath: "['a:b']", writePath: null }
+ * parseMapper("name:fullName") // null
+ *
+ * @param {string} mapper - String to parse
+ * @returns {{readPath: string|null, writePath: string|null}|null} Paths, or null if the string is not a mapper
+ */
+function parseMapper(mapper) {
+  // Parse mapper: "source:target." or "source." or ":target." or ":target"
+  const parts = splitTopLevel(mapper, [":"]);
+
+  if (parts.length > 2) {
+    return null;
+  }
+
+  const [readPath, writePath] = parts;
+  const last = parts[parts.length - 1];
+  const dotted = splitTopLevel(last, ["."]).pop() === "" && last !== "";
+  const trimmed = dotted ? last.slice(0, -1) : last;
+
+  if (isUndefined(writePath)) {
+    return dotted && isMapperPath(trimmed) ? { readPath: trimmed, writePath: null } : null;
+  }
+  if (!isMapperPath(trimmed) || (readPath !== "" && !(dotted && isMapperPath(readPath)))) {
+    return null;
+  }
+
+  return { readPath: readPath || (dotted ? trimmed : null), writePath: trimmed };
+}
+
+/**
+ * Turns a group node into a group plan, resolving write prefixes of nested mappers
+ *
+ * @example
+ * planGroup(parseMapArray(["user:account.", "name", "email:mail"]));
+ * // {
+ * //   type: "group",
+ * //   node: <group>,
+ * //   readPath: <path "user">,
+ * //   identifierPrefix: "account.",
+ * //   items: [<field plan "account.name">, <field plan "account.mail">]
+ * // }
+ *
+ * @param {Object} node - Group node from parse
+ * @param {string} [parentPrefix=""] - Write prefix inherited from enclosing mappers
+ * @returns {Object} Group plan
+ * @throws {Error} If any field in the group is invalid
+ */
+function planGroup(node, parentPrefix = "") {
+  const { mapper } = node;
+
+  // Update identifier prefix if write path specified
+  const identifierPrefix = mapper && mapper.writePath ? `${parentPrefix}${mapper.writePath.raw}.` : parentPrefix;
+
+  return {
+    type: "group",
+    node,
+    readPath: mapper && mapper.readPath,
+    identifierPrefix,
+    items: node.items.map((item) => {
+      if (item.type === "group") {
+        return planGroup(item, identifierPrefix);
+      }
+      if (item.type === "condition") {
+        return { type: "condition", node: item };
+      }
+      if (item.type === "computed") {
+        return planComputed(item, identifierPrefix);
+      }
+      return item.type === "exclusion" ? planExclusion(item, identifierPrefix) : planField(item, identifierPrefix);
+    }),
+  };
+}
+
+/**
+ * Checks an optional condition node against the root source object
+ *
+ * @param {Object} obj - Root source object
+ * @param {Object|null} condition - Condition node, or null for unconditional items
+ * @returns {boolean}
+ */
+const matchesCondition = (obj, condition) => !condition || matchesPredicate(obj, condition.predicate);
+
+/**
+ * Picks the items of a group plan whose conditions hold against the root source object
+ * A failing "@if" item drops every item after it in the group; a failing "map @if ..."
+ * drops only that field or exclusion. Condition items themselves are not returned.
+ * Conditions are not scoped by mapper read paths, so a group reading from "business."
+ * can still be gated on the top-level "type".
+ *
+ * @param {Object} obj - Root source object (not scoped by the group's read path)
+ * @param {Object} group - Group plan from planGroup
+ * @returns {Array<Object>} Group, field and exclusion plans to apply
+ */
+function activeItems(obj, group) {
+  const failing = group.items.findIndex((item) => item.type === "condition" && !matchesCondition(obj, item.node));
+  const items = failing === -1 ? group.items : group.items.slice(0, failing);
+
+  return items.filter((item) => {
+    if (item.type === "group" || item.type === "computed") {
+      return true;
+    }
+    return item.type !== "condition" && matchesCondition(obj, item.node.condition);
+  });
+}
+
+/**
+ * Resolves every field in a group plan against a source object, in spec order
+ *
+ * @param {Object} obj - Source object
+ * @param {Object} group - Group plan from planGroup
+ * @param {Array<{field: Object, value: *}>} [resolved=[]] - Accumulator for resolved fields
+ * @param {function(Object, Object): *} [resolve=resolveItem] - Produces the value of a field or
+ *   computed plan from its scoped source
+ * @param {Object} [root=obj] - Root source object, which "@if" conditions read from
+ * @returns {Array<{field: Object, value: *}|{field: Object, exclude: true}>} Resolved fields, with
+ *   exclusions marked in place
+ */
+function resolveGroup(obj, group, resolved = [], resolve = resolveItem, root = obj) {
+  const sourceObj = group.readPath ? readSegments(obj, group.readPath.segments) : obj;
+
+  // Nothing to resolve if source object is undefined/null
+  if (isUndefined(sourceObj) || isNull(sourceObj)) {
+    return resolved;
+  }
+
+  activeItems(root, group).forEach((item) => {
+    if (item.type === "group") {
+      resolveGroup(sourceObj, item, resolved, resolve, root);
+    } else if (item.type === "exclusion") {
+      resolved.push({ field: item, exclude: true });
+    } else {
+      resolved.push({ field: item, value: resolve(sourceObj, item) });
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Resolves an array of map strings, handling nested mappers and prefixes
+ *
+ * Supports advanced patterns:
+ * - "personalInfo." - Read all from personalInfo (mapper prefix)
+ * - ":address." - Write all to address (mapper prefix)
+ * - "personalInfo:person." - Read from personalInfo, write with person prefix
+ * - Nested arrays for grouping: ["name", "email"] within larger map
+ * - Multi-field syntax: "name,email" or "name::email"
+ * - Transform chains on any field: "email|trim|lower", "price|round(2)"
+ * - Exclusions: "-password" resolves to { identifier: "password", exclude: true }
+ * - Conditions: "kyc.status @if ekycRequested" for one field, or an "@if type='company'" item
+ *   that gates the rest of its group; both are evaluated against the root source object, not the group's scope
+ * - Computed fields: { fullName: (src) => ... } is called with the group's source object
+ *
+ * @example
+ * const data = { user: { name: "Alice", email: "alice@example.com" } };
+ * resolveMapArray(data, ["user.", "name", "email:userEmail"]);
+ * // [
+ * //   { identifier: "name", value: "Alice" },
+ * //   { identifier: "userEmail", value: "alice@example.com" }
+ * // ]
+ *
+ * @param {Object} obj - Source object
+ * @param {Array<string|Array|Object>} mapArray - Array of map strings, nested arrays or computed field objects
+ * @returns {Array<{identifier: string, value: *}|{identifier: string, exclude: true}>}
+ * @throws {Error} If mapArray is not an array
+ */
+function resolveMapArray(obj, mapArray) {
+  return resolveGroup(obj, planGroup(parseMapArray(mapArray))).map(({ field, value, exclude }) =>
+    exclude ? { identifier: field.identifier, exclude } : { identifier: field.identifier, value }
+  );
+}
+
+// ============================================================================
+// Cloning
+// ============================================================================
+
+/**
+ * Deep clones a value while preserving its types
+ *
+ * Unlike a JSON round-trip, this keeps Dates, BigInts, Maps, Sets, RegExps, Buffers,
+ * typed arrays and undefined values. Circular references are preserved too.
+ * Only built-ins it knows how to construct, arrays and plain or null-prototype objects are
+ * copied; functions and other class instances (URLs, Mongo ObjectIds, classes with #private
+ * fields, Promises, WeakMaps) are kept by reference, since a copy could not rebuild their
+ * internal state. Objects matching a registered adapter are replaced by their plain form.
+ *
+ * @example
+ * const copy = cloneValue({ createdAt: new Date(), tags: new Set(["a"]) });
+ * copy.createdAt instanceof Date; // true
+ *
+ * @param {*} value - Value to clone
+ * @param {Map} [seen=new Map()] - Already cloned objects, for circular references
+ * @returns {*}
+ */
+function cloneValue(value, seen = new Map()) {
+  if (typeof value !== "object" || value === null) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return seen.get(value);
+  }
+
+  // Library objects (Mongoose documents, Sequelize models, ...) are cloned as plain data
+  const plain = normalizeValue(value);
+  if (plain !== value) {
+    const copy = cloneValue(plain, seen);
+    seen.set(value, copy);
+    return copy;
+  }
+
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value instanceof RegExp) {
+    return new RegExp(value.source, value.flags);
+  }
+  if (typeof Buffer !== "undefined" && Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  }
+  if (value instanceof ArrayBuffer) {
+    return value.slice(0);
+  }
+  if (value instanceof DataView) {
+    return new DataView(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+  }
+  if (ArrayBuffer.isView(value)) {
+    return value.slice();
+  }
+
+  if (value instanceof Map) {
+    const copy = new Map();
+    seen.set(value, copy);
+    value.forEach((item, key) => copy.set(key, cloneValue(item, seen)));
+    return copy;
+  }
+  if (value instanceof Set) {
+    const copy = new Set();
+    seen.set(value, copy);
+    value.forEach((item) => copy.add(cloneValue(item, seen)));
+    return copy;
+  }
+
+  if (Array.isArray(value)) {
+    const copy = [];
+    seen.set(value, copy);
+    value.forEach((item, index) => {
+      copy[index] = cloneValue(item, seen);
+    });
+    return copy;
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+
+  // Class instances may keep their state in internal slots or #private fields: share them
+  if (prototype !== Object.prototype && prototype !== null) {
+    return value;
+  }
+
+  // Plain objects: copy enumerable keys
+  const copy = Object.create(prototype);
+  seen.set(value, copy);
+  Object.keys(value).forEach((key) => {
+    copy[key] = cloneValue(value[key], seen);
+  });
+  return copy;
+}
+
+/**
+ * Clones the source object before mapping so results never share state with it
+ * Registered adapters normalize the root and nested objects in both modes.
+ *
+ * Modes:
+ * - "deep" (default) - type-preserving clone via cloneValue
+ * - "json" - JSON round-trip (Dates become strings, undefined values are dropped)
+ *
+ * @param {*} obj - Source object
+ * @param {string} mode - Clone mode
+ * @returns {*}
+ */
+function cloneSource(obj, mode) {
+  return mode === "json"
+    ? JSON.parse(JSON.stringify(obj, (key, val) => normalizeValue(val)))
+    : cloneValue(obj);
+}
+
+// ============================================================================
+// Source Adapters
+// ============================================================================
+
+/**
+ * Built-in adapters that turn library objects into plain data
+ * mongoose, sequelize and immutable are registered by default; toJSON is opt-in
+ * because it would also turn values such as ObjectIds into strings.
+ */
+const builtInAdapters = {
+  mongoose: {
+    test: (val) => typeof val.toObject === "function",
+    toPlain: (val) => val.toObject(),
+  },
+  sequelize: {
+    test: (val) => typeof val.get === "function" && isObject(val.dataValues),
+    toPlain: (val) => val.get({ plain: true }),
+  },
+  immutable: {
+    test: (val) =>
+      typeof val.toJS === "function" &&
+      Boolean(val["@@__IMMUTABLE_ITERABLE__@@"] || val["@@__IMMUTABLE_RECORD__@@"]),
+    toPlain: (val) => val.toJS(),
+  },
+  toJSON: {
+    test: (val) => typeof val.toJSON === "function" && !(val instanceof Date),
+    toPlain: (val) => val.toJSON(),
+  },
+};
+
+/**
+ * Registered adapters, most recently registered first
+ */
+const adapterRegistry = [builtInAdapters.immutable, builtInAdapters.sequelize, builtInAdapters.mongoose];
+
+/**
+ * Registers an adapter that normalizes matching source objects into plain data
+ * Adapters apply to the root object and to nested instances, both when the source is
+ * cloned and while readValue walks a path. Later registrations take precedence.
+ *
+ * @example
+ * mapObject.registerAdapter({
+ *   test: (val) => val instanceof Money,
+ *   toPlain: (val) => ({ amount: val.amount, currency: val.currency }),
+ * });
+ *
+ * @example
+ * // Opt in to normalizing everything with a toJSON method
+ * mapObject.registerAdapter(mapObject.adapters.toJSON);
+ *
+ * @param {{test: Function, toPlain: Function}} adapter - test(value) decides whether
+ *   the adapter applies, toPlain(value) returns the plain replacement
+ * @throws {Error} If the adapter is malformed
+ */
+function registerAdapter(adapter) {
+  if (!isObject(adapter) || typeof adapter.test !== "function" || typeof adapter.toPlain !== "function") {
+    throw new Error("Adapter must be an object with test and toPlain functions");
+  }
+
+  adapterRegistry.unshift(adapter);
+}
+
+/**
+ * Converts a value with the first matching adapter, or returns it unchanged
+ *
+ * @param {*} value - Value to normalize
+ * @returns {*}
+ */
+function normalizeValue(value) {
+  if (typeof value !== "object" || value === null) {
+    return value;
+  }
+
+  const adapter = adapterRegistry.find(({ test }) => test(value));
+  return adapter ? adapter.toPlain(value) : value;
+}
+
+// ============================================================================
+// Compilation
+// ============================================================================
+
+/**
+ * Parses mapObject field specifications into group plans
+ * Field specifications that are not strings, arrays or objects are ignored.
+ *
+ * @param {Array<string|Array|Object>} fields - Field specifications
+ * @returns {Array<Object>} Group plans
+ */
+const parseFields = (fields) =>
+  fields
+    .filter((field) => typeof field === "string" || Array.isArray(field) || isObject(field))
+    .map((field) => planGroup(parse(field)));
+
+/**
+ * Writes a resolved field into the result container
+ * A "*" identifier merges into (or replaces) the whole result; exclusions remove their path
+ * and the containers it leaves empty.
+ *
+ * @param {{newObj: Object|Array}} result - Result container
+ * @param {Object} field - Field, computed or exclusion plan
+ * @param {*} value - Resolved value
+ */
+function writeField(result, field, value) {
+  if (field.type === "exclusion") {
+    excludeSegments(result.newObj, field.segments);
+    return;
+  }
+
+  // Wildcard handling: merge or replace entire object
+  if (field.identifier === "*") {
+    if (Array.isArray(result.newObj) && Array.isArray(value)) {
+      result.newObj.push(...value);
+    } else if (isObject(result.newObj) && isObject(value)) {
+      Object.assign(result.newObj, value);
+    } else {
+      result.newObj = value;
+    }
+    return;
+  }
+
+  writeIfDefined(result.newObj, field.writeSegments, value);
+}
+
+/**
+ * Applies result options to a mapped result: flattens it when options.flatten is set
+ * A "*" field can replace the result with a value that is not an object; it is returned as is.
+ *
+ * @param {*} mapped - Mapped result
+ * @param {Object} options - Resolved options
+ * @returns {*}
+ */
+const finishResult = (mapped, options) =>
+  options.flatten && isFlattenable(mapped, { arrays: true }) ? flatten(mapped, options.flatten) : mapped;
+
+/**
+ * Runs parsed group plans against a source object
+ *
+ * @param {Object|Array} obj - Source object or array to query
+ * @param {Array<Object>} plans - Group plans from parseFields
+ * @param {Object} [options=defaultOptions] - Resolved options
+ * @returns {Object|Array} New object with mapped data
+ */
+function runPlans(obj, plans, options = defaultOptions) {
+  // Initialize result container matching source type
+  const result = { newObj: Array.isArray(obj) ? [] : {} };
+
+  // Clone to avoid mutations (normalizing Mongoose documents and other adapted objects)
+  const sourceObj = cloneSource(obj, options.clone);
+
+  if (options.strict) {
+    assertNoneMissing(sourceObj, plans);
+  }
+
+  // Resolve and write each field specification in turn
+  plans.forEach((plan) => {
+    resolveGroup(sourceObj, plan).forEach(({ field, value }) => {
+      writeField(result, field, value);
+    });
+  });
+
+  return finishResult(result.newObj, options);
+}
+
+/**
+ * Compiles field specifications once into a reusable mapping function
+ *
+ * Map strings, mapper prefixes, paths and transforms are parsed up front, so the
+ * returned function only walks the source object. Its output is identical to calling
+ * mapObject with the same fields, and spec errors (empty paths, unknown transforms,
+ * literal defaults without a target) are thrown here instead of on first use.
+ *
+ * @example
+ * const toUserResponse = mapObject.compile("id", "profile.name:name", "email|lower");
+ *
+ * toUserResponse(user1); // same as mapObject(user1, "id", "profile.name:name", "email|lower")
+ * toUserResponse(user2);
+ *
+ * @param {...(string|Array|Object)} fields - Field specifications (map strings, arrays or computed field objects)
+ * @returns {function(Object|Array): (Object|Array)} Compiled mapping function
+ * @throws {Error} If any field specification is invalid
+ */
+function compile(...fields) {
+  return compileFields(fields, defaultOptions);
+}
+
+/**
+ * Compiles field specifications with the given resolved options
+ *
+ * @param {Array<string|Array|Object>} fields - Field specifications
+ * @param {Object} options - Resolved options
+ * @returns {function(Object|Array): (Object|Array)} Compiled mapping function
+ */
+function compileFields(fields, options) {
+  const plans = parseFields(fields);
+  return (obj) => runPlans(obj, plans, options);
+}
+
+// ============================================================================
+// Options
+// ============================================================================
+
+/**
+ * Options used when none are given
+ * - clone: "deep" (type-preserving) or "json" (JSON round-trip) source cloning
+ * - strict: throw a MissingFieldsError when a required field's source is missing
+ * - concurrency: how many fields mapObject.async resolves at once
+ * - abortOnError: make mapObject.stream fail on the first record that cannot be mapped
+ * - arrayOperator: "$push" or "$addToSet", the operator mapObject.toUpdate uses for "[]" targets
+ * - flatten: return results flattened into path keys; true or flatten options (see defaultFlattenOptions)
+ */
+const defaultOptions = {
+  clone: "deep",
+  strict: false,
+  concurrency: Infinity,
+  abortOnError: false,
+  arrayOperator: "$push",
+  flatten: false,
+};
+
+/**
+ * Merges options with the defaults and validates them
+ *
+ * @param {Object} [options={}] - Options to resolve
+ * @returns {Object} Complete options
+ * @throws {Error} If an option has an invalid value
+ */
+function resolveOptions(options = {}) {
+  if (!isObject(options)) {
+    throw new Error(`Options must be an object, received: ${typeof options}`);
+  }
+
+  const resolved = { ...defaultOptions, ...options };
+
+  if (!["deep", "json"].includes(resolved.clone)) {
+    throw new Error(`Clone mode must be "deep" or "json", received: ${resolved.clone}`);
+  }
+  if (typeof resolved.strict !== "boolean") {
+    throw new Error(`Strict must be a boolean, received: ${typeof resolved.strict}`);
+  }
+  if (!(Number.isInteger(resolved.concurrency) && resolved.concurrency > 0) && resolved.concurrency !== Infinity) {
+    throw new Error(`Concurrency must be a positive integer or Infinity, received: ${resolved.concurrency}`);
+  }
+  if (typeof resolved.abortOnError !== "boolean") {
+    throw new Error(`AbortOnError must be a boolean, received: ${typeof resolved.abortOnError}`);
+  }
+  if (!["$push", "$addToSet"].includes(resolved.arrayOperator)) {
+    throw new Error(`Array operator must be "$push" or "$addToSet", received: ${resolved.arrayOperator}`);
+  }
+  if (typeof resolved.flatten === "boolean") {
+    resolved.flatten = resolved.flatten && defaultFlattenOptions;
+  } else {
+    resolved.flatten = resolveFlattenOptions(resolved.flatten);
+  }
+
+  return resolved;
+}
+
+/**
+ * Creates a mapObject function bound to the given options
+ * The returned function has the same signature as mapObject, plus its own compile, async, stream
+ * and toUpdate.
+ *
+ * @example
+ * // Keep the JSON round-trip semantics of earlier versions
+ * const mapJson = mapObject.withOptions({ clone: "json" });
+ *
+ * mapJson(doc, "createdAt"); // { createdAt: "2024-01-15T10:30:00.000Z" }
+ * mapJson.compile("createdAt")(doc);
+ *
+ * @example
+ * // At most 4 lookups in flight
+ * await mapObject.withOptions({ concurrency: 4 }).async(order, "centreId|centreName:centre");
+ *
+ * @param {Object} options - Options (see defaultOptions)
+ * @returns {Function} Configured mapObject function
+ * @throws {Error} If an option has an invalid value
+ */
+function withOptions(options) {
+  const resolved = resolveOptions(options);
+
+  const configured = (obj, ...fields) => runPlans(obj, parseFields(fields), resolved);
+  configured.compile = (...fields) => compileFields(fields, resolved);
+  configured.async = async (obj, ...fields) => runPlansAsync(obj, parseFields(fields), resolved);
+  configured.stream = (...fields) => createMapStream(fields, resolved);
+  configured.toUpdate = (obj, ...fields) => runPlansUpdate(obj, parseFields(fields), resolved);
+  configured.patch = (target, obj, ...fields) => runPlansPatch(target, obj, parseFields(fields), resolved);
+
+  return configured;
+}
+
+// ============================================================================
+// Strict Mode
+// ============================================================================
+
+/**
+ * Error thrown in strict mode when required fields have no source value
+ *
+ * @example
+ * try {
+ *   mapObject.strict({ address: { geo: null } }, "address.geo.lat:lat", "name");
+ * } catch (error) {
+ *   error instanceof mapObject.MissingFieldsError; // true
+ *   error.missing;
+ *   // [
+ *   //   {
+ *   //     spec: "address.geo.lat:lat",
+ *   //     identifier: "lat",
+ *   //     paths: [{ path: "address.geo.lat", stoppedAt: "geo", at: "address.geo", value: null }]
+ *   //   },
+ *   //   {
+ *   //     spec: "name",
+ *   //     identifier: "name",
+ *   //     paths: [{ path: "name", stoppedAt: "name", at: "name", value: undefined }]
+ *   //   }
+ *   // ]
+ * }
+ */
+class MissingFieldsError extends Error {
+  /**
+   * @param {Array<{spec: string, identifier: string, paths: Array<Object>}>} missing - Missing fields
+   */
+  constructor(missing) {
+    const lines = missing.map(({ identifier, paths }) => {
+      const reasons = paths.map(({ path, stoppedAt, at, value }) =>
+        stoppedAt ? `${path} stopped at "${stoppedAt}" (${at} is ${value})` : `${path} is not a readable path`
+      );
+      return `- ${identifier}: ${reasons.join(", ")}`;
+    });
+
+    super(`Missing ${missing.length} required field${missing.length === 1 ? "" : "s"}:\n${lines.join("\n")}`);
+    this.name = "MissingFieldsError";
+    this.missing = missing;
+  }
+}
+
+/**
+ * Finds where reading a path stopped: the first segment whose value is null or undefined
+ *
+ * @param {Object} obj - Source object
+ * @param {Array<Object>|null} segments - Path segments
+ * @returns {{stoppedAt: string, at: string, value: null|undefined}|{stoppedAt: null, at: null, value: undefined}}
+ */
+function traceMissing(obj, segments) {
+  const index = (segments || []).findIndex((segment, i) => {
+    const value = readSegments(obj, segments.slice(0, i + 1));
+    return isUndefined(value) || isNull(value);
+  });
+
+  if (index === -1) {
+    return { stoppedAt: null, at: null, value: undefined };
+  }
+
+  return {
+    stoppedAt: printSegments([segments[index]]),
+    at: printSegments(segments.slice(0, index + 1)),
+    value: readSegments(obj, segments.slice(0, index + 1)),
+  };
+}
+
+/**
+ * Collects the required fields of group plans whose sources all resolve to undefined
+ * Paths are traced from the root, so a missing mapper read path is reported on every
+ * field below it. Optional fields, fields with a literal default, computed fields and
+ * fields whose "@if" condition does not hold are never missing.
+ *
+ * @param {Object} obj - Source object
+ * @param {Array<Object>} plans - Group plans from parseFields
+ * @returns {Array<{spec: string, identifier: string, paths: Array<Object>}>}
+ */
+function findMissing(obj, plans) {
+  const missing = [];
+
+  const visitGroup = (group, readSegmentsPrefix, readPrefix) => {
+    const segments = group.readPath ? [...readSegmentsPrefix, ...group.readPath.segments] : readSegmentsPrefix;
+    const prefix = group.readPath ? `${readPrefix}${group.readPath.raw}.` : readPrefix;
+
+    activeItems(obj, group).forEach((item) => {
+      if (item.type === "group") {
+        visitGroup(item, segments, prefix);
+        return;
+      }
+      if (item.type === "exclusion" || item.type === "computed") {
+        return;
+      }
+
+      const { sources, optional, raw } = item.node;
+      if (optional || sources.some((source) => source.type === "literal")) {
+        return;
+      }
+
+      const paths = sources.map((source) => ({
+        path: `${prefix}${source.raw}`,
+        segments: source.segments && [...segments, ...source.segments],
+      }));
+      const value = paths.reduce(
+        (found, path) => (isUndefined(found) ? readSegments(obj, path.segments) : found),
+        undefined
+      );
+
+      if (isUndefined(value)) {
+        missing.push({
+          spec: raw,
+          identifier: item.identifier,
+          paths: paths.map((path) => ({ path: path.path, ...traceMissing(obj, path.segments) })),
+        });
+      }
+    });
+  };
+
+  plans.forEach((plan) => visitGroup(plan, [], ""));
+
+  return missing;
+}
+
+/**
+ * Throws a MissingFieldsError listing every required field without a source value
+ *
+ * @param {Object} obj - Source object
+ * @param {Array<Object>} plans - Group plans from parseFields
+ * @throws {MissingFieldsError} If any required field is missing
+ */
+function assertNoneMissing(obj, plans) {
+  const missing = findMissing(obj, plans);
+
+  if (missing.length) {
+    throw new MissingFieldsError(missing);
+  }
+}
+
+/**
+ * Maps like mapObject, but throws a MissingFieldsError when a field's source path
+ * resolves to undefined, instead of silently leaving the field out
+ *
+ * Mark a field optional with a "?" after its source: "middleName?", "nickname?:nick".
+ * Fields with a literal default ("status??='pending'") are never missing. Null values
+ * are not missing. Equivalent to mapObject.withOptions({ strict: true }).
+ *
+ * @example
+ * mapObject.strict(user, "id", "profile.name:name", "middleName?");
+ *
+ * @example
+ * const toResponse = mapObject.strict.compile("id", "address.geo.lat:lat");
+ *
+ * @param {Object|Array} obj - Source object or array to query
+ * @param {...(string|Array|Object)} fields - Field specifications (map strings, arrays or computed field objects)
+ * @returns {Object|Array} New object with mapped data
+ * @throws {MissingFieldsError} If any required field is missing
+ */
+const strict = withOptions({ strict: true });
+
+// ============================================================================
+// Async Mapping
+// ============================================================================
+
+/**
+ * Error thrown by mapObject.async when transforms or computed fields fail
+ * Every failing field is reported, not just the first.
+ *
+ * @example
+ * try {
+ *   await mapObject.async(order, "centreId|centreName:centre", { photo: (src) => sign(src.photo) });
+ * } catch (error) {
+ *   error instanceof mapObject.FieldResolutionError; // true
+ *   error.errors;
+ *   // [{ spec: "centreId|centreName:centre", identifier: "centre", error: Error("Centre not found") }]
+ * }
+ */
+class FieldResolutionError extends Error {
+  /**
+   * @param {Array<{spec: string, identifier: string, error: *}>} errors - Failed fields and their errors
+   */
+  constructor(errors) {
+    const lines = errors.map(
+      ({ identifier, error }) => `- ${identifier}: ${error instanceof Error ? error.message : error}`
+    );
+
+    super(`Failed to resolve ${errors.length} field${errors.length === 1 ? "" : "s"}:\n${lines.join("\n")}`);
+    this.name = "FieldResolutionError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Resolves the value of a field or computed plan like resolveItem, awaiting promises
+ * returned by transforms and computed fields
+ *
+ * @param {Object} obj - Source object, already scoped by the group's read path
+ * @param {Object} item - Field plan from planField, or computed plan from planComputed
+ * @returns {Promise<*>}
+ */
+async function resolveItemAsync(obj, item) {
+  if (item.type === "computed") {
+    return item.node.fn(obj);
+  }
+  return applyTransformsAsync(readFirstDefined(obj, item.node.sources), item.node.transforms);
+}
+
+/**
+ * Runs tasks with at most `concurrency` of them pending at once
+ *
+ * @param {Array<function(): *>} tasks - Functions returning values or promises
+ * @param {number} concurrency - Maximum number of pending tasks
+ * @returns {Promise<Array<{status: "fulfilled", value: *}|{status: "rejected", reason: *}>>} Outcomes in task order
+ */
+async function settleLimited(tasks, concurrency) {
+  const outcomes = new Array(tasks.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      try {
+        outcomes[index] = { status: "fulfilled", value: await tasks[index]() };
+      } catch (reason) {
+        outcomes[index] = { status: "rejected", reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+  return outcomes;
+}
+
+/**
+ * Runs parsed group plans against a source object, resolving fields concurrently
+ * Values are written in spec order once every field has settled, so the output matches runPlans.
+ *
+ * @param {Object|Array} obj - Source object or array to query
+ * @param {Array<Object>} plans - Group plans from parseFields
+ * @param {Object} [options=defaultOptions] - Resolved options
+ * @returns {Promise<Object|Array>} New object with mapped data
+ * @throws {FieldResolutionError} If any transform or computed field fails
+ */
+async function runPlansAsync(obj, plans, options = defaultOptions) {
+  const result = { newObj: Array.isArray(obj) ? [] : {} };
+  const sourceObj = cloneSource(obj, options.clone);
+
+  if (options.strict) {
+    assertNoneMissing(sourceObj, plans);
+  }
+
+  // Defer each field so every spec shares the same concurrency limit
+  const deferItem = (scopedObj, item) => () => resolveItemAsync(scopedObj, item);
+  const resolved = plans.flatMap((plan) => resolveGroup(sourceObj, plan, [], deferItem));
+  const outcomes = await settleLimited(
+    resolved.map(({ value, exclude }) => (exclude ? () => undefined : value)),
+    options.concurrency
+  );
+
+  const errors = outcomes
+    .map((outcome, index) => ({ outcome, field: resolved[index].field }))
+    .filter(({ outcome }) => outcome.status === "rejected")
+    .map(({ outcome, field }) => ({ spec: field.node.raw, identifier: field.identifier, error: outcome.reason }));
+
+  if (errors.length) {
+    throw new FieldResolutionError(errors);
+  }
+
+  resolved.forEach(({ field }, index) => {
+    writeField(result, field, outcomes[index].value);
+  });
+
+  return finishResult(result.newObj, options);
+}
+
+/**
+ * Maps like mapObject, but awaits transforms and computed fields that return promises
+ *
+ * Fields are resolved concurrently (limit them with withOptions({ concurrency })) and written
+ * in spec order, so the result is the same as mapObject's with every promise settled. When
+ * fields fail, the promise rejects with a FieldResolutionError listing each of them.
+ *
+ * @example
+ * mapObject.registerTransform("centreName", async (id) => (await centres.findById(id)).name);
+ *
+ * await mapObject.async(order, "id", "centreId|centreName:centre", {
+ *   photo: async (src) => signUrl(src.photoKey),
+ * });
+ * // { id: 7, centre: "Downtown", photo: "https://..." }
+ *
+ * @param {Object|Array} obj - Source object or array to query
+ * @param {...(string|Array|Object)} fields - Field specifications (map strings, arrays or computed field objects)
+ * @returns {Promise<Object|Array>} New object with mapped data
+ * @throws {FieldResolutionError} If any transform or computed field fails
+ */
+async function mapAsync(obj, ...fields) {
+  return runPlansAsync(obj, parseFields(fields));
+}
+
+// ============================================================================
+// Streaming
+// ============================================================================
+
+/**
+ * Error reported by mapObject.stream for a record that could not be parsed or mapped
+ *
+ * @example
+ * mapStream.on("recordError", (error) => {
+ *   error.index; // 41 (0-based position of the record in the input)
+ *   error.record; // the object, or the NDJSON line that failed to parse
+ *   error.cause; // the underlying error
+ * });
+ */
+class RecordError extends Error {
+  /**
+   * @param {number} index - Position of the record in the input
+   * @param {*} record - The record, or the raw NDJSON line
+   * @param {*} cause - The error thrown while parsing or mapping it
+   */
+  constructor(index, record, cause) {
+    super(`Record ${index} failed: ${cause instanceof Error ? cause.message : cause}`);
+    this.name = "RecordError";
+    this.index = index;
+    this.record = record;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Loads Node's stream module on first use, so the library still runs where it is missing
+ * ES modules have no require, so the ES module build relies on process.getBuiltinModule
+ * (Node.js 20.16 and 22.3 or later); older versions need the CommonJS build for streams.
+ *
+ * @returns {Object} The "stream" module
+ * @throws {Error} If neither process.getBuiltinModule nor require is available
+ */
+function loadStreamModule() {
+  if (typeof process !== "undefined" && typeof process.getBuiltinModule === "function") {
+    return process.getBuiltinModule("stream");
+  }
+  if (typeof require === "function") {
+    return require("stream");
+  }
+  throw new Error(
+    "mapObject.stream needs the Node.js stream module: the ES module build loads it with " +
+      "process.getBuiltinModule (Node.js 20.16 or later); on older versions require() the CommonJS build"
+  );
+}
+
+/**
+ * Creates an object-mode Transform that maps each record with compiled field specifications
+ *
+ * @param {Array<string|Array|Object>} fields - Field specifications
+ * @param {Object} options - Resolved options
+ * @returns {Object} Node.js Transform stream
+ * @throws {Error} If any field specification is invalid
+ */
+function createMapStream(fields, options) {
+  const { Transform } = loadStreamModule();
+  const mapRecord = compileFields(fields, options);
+  const decoder = new TextDecoder();
+  let index = 0;
+  let partialLine = "";
+
+  // Maps one record, returning an error to abort with (or null)
+  const mapInto = (transform, record, parse) => {
+    const recordIndex = index++;
+
+    try {
+      transform.push(mapRecord(parse ? JSON.parse(record) : record));
+      return null;
+    } catch (cause) {
+      const error = new RecordError(recordIndex, record, cause);
+      if (options.abortOnError) {
+        return error;
+      }
+      transform.emit("recordError", error);
+      return null;
+    }
+  };
+
+  // Maps every complete NDJSON line, skipping blank ones
+  const mapLines = (transform, lines) => {
+    for (const line of lines) {
+      const text = line.replace(/\r$/, "");
+      const error = text.trim() ? mapInto(transform, text, true) : null;
+      if (error) {
+        return error;
+      }
+    }
+    return null;
+  };
+
+  return new Transform({
+    writableObjectMode: true,
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      // Text and buffers are NDJSON; anything else is a record
+      if (typeof chunk !== "string" && !(chunk instanceof Uint8Array)) {
+        callback(mapInto(this, chunk, false));
+        return;
+      }
+
+      const text = typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+      const lines = (partialLine + text).split("\n");
+      partialLine = lines.pop();
+      callback(mapLines(this, lines));
+    },
+    flush(callback) {
+      callback(mapLines(this, [partialLine + decoder.decode()]));
+    },
+  });
+}
+
+/**
+ * Creates a Node.js Transform stream that maps every record passing through it
+ *
+ * Write objects, or NDJSON text and buffers (split into lines, blank lines skipped); the
+ * readable side emits the mapped objects. Fields are compiled once, and backpressure is
+ * handled by the stream. A record that fails to parse or map is skipped and reported as a
+ * "recordError" event carrying a RecordError; with withOptions({ abortOnError: true }) the
+ * stream fails with it instead. Transforms must be synchronous.
+ *
+ * @example
+ * const { pipeline } = require("stream/promises");
+ *
+ * const toRows = mapObject.stream("id", "profile.name:name", "createdAt|isoDate:created");
+ * toRows.on("recordError", (error) => logger.warn(error.message));
+ *
+ * await pipeline(fs.createReadStream("users.ndjson"), toRows, serialize, output);
+ *
+ * @example
+ * // Records from memory
+ * Readable.from(users).pipe(mapObject.withOptions({ abortOnError: true }).stream("id", "email"));
+ *
+ * @param {...(string|Array|Object)} fields - Field specifications (map strings, arrays or computed field objects)
+ * @returns {Object} Node.js Transform stream
+ * @throws {Error} If any field specification is invalid, or not running on Node.js
+ */
+function stream(...fields) {
+  return createMapStream(fields, defaultOptions);
+}
+
+// ============================================================================
+// Update Documents
+// ============================================================================
+
+/**
+ * Formats write path segments as a dotted MongoDB update path
+ * Projections ("users.[active]") become the all-positional operator ("users.$[].active").
+ *
+ * @param {Array<Object>} segments - Write path segments
+ * @param {string} identifier - The field's target (for error messages)
+ * @returns {string}
+ * @throws {Error} If a segment has no update path equivalent
+ */
+function toUpdatePath(segments, identifier) {
+  return segments
+    .map((segment) => {
+      switch (segment.type) {
+        case "key":
+          if (segment.key.includes(".") || segment.key.startsWith("$")) {
+            throw new Error(`Key "${segment.key}" cannot be used in an update path: ${identifier}`);
+          }
+          return segment.key;
+        case "index":
+          if (segment.index < 0) {
+            throw new Error(`Negative index cannot be used in an update path: ${identifier}`);
+          }
+          return String(segment.index);
+        case "project":
+          return `$[].${toUpdatePath(segment.segments, identifier)}`;
+        default:
+          throw new Error(
+            `Path segment "${printSegments([segment])}" cannot be used in an update path: ${identifier}`
+          );
+      }
+    })
+    .join(".");
+}
+
+/**
+ * Collects update operations in spec order; later operations on a path replace earlier ones,
+ * and operations on its ancestors or descendants, which MongoDB rejects as conflicting
+ */
+class UpdateBuilder {
+  constructor(arrayOperator) {
+    this.arrayOperator = arrayOperator;
+    this.set = new Map();
+    this.unset = new Set();
+    this.pushes = new Map();
+    this.explicit = new Map();
+  }
+
+  /**
+   * Drops pending operations on a path, everything below it and every ancestor of it
+   *
+   * @param {string} path - Dotted update path
+   */
+  clear(path) {
+    const conflicts = (other) => other === path || other.startsWith(`${path}.`) || path.startsWith(`${other}.`);
+
+    [this.set, this.pushes, ...this.explicit.values()].forEach((operations) => {
+      [...operations.keys()].filter(conflicts).forEach((other) => operations.delete(other));
+    });
+    [...this.unset].filter(conflicts).forEach((other) => this.unset.delete(other));
+  }
+
+  /**
+   * Records a value for a path: $set, or $unset for null
+   *
+   * @param {string} path - Dotted update path
+   * @param {*} value - Value to set
+   */
+  assign(path, value) {
+    this.clear(path);
+
+    if (isNull(value)) {
+      this.unset.add(path);
+    } else {
+      this.set.set(path, value);
+    }
+  }
+
+  /**
+   * Records a value appended to the array at a path
+   *
+   * @param {string} path - Dotted update path of the array
+   * @param {*} value - Item to append
+   * @param {string} [operator=this.arrayOperator] - "$push" or "$addToSet"
+   */
+  append(path, value, operator = this.arrayOperator) {
+    const pending = this.pushes.get(path);
+    const values = pending && pending.operator === operator ? pending.values : [];
+
+    this.clear(path);
+    this.pushes.set(path, { operator, values: [...values, value] });
+  }
+
+  /**
+   * Checks if an item is still pending to be appended to the array at a path
+   *
+   * @param {string} path - Dotted update path of the array
+   * @param {*} value - Appended item
+   * @param {string} operator - "$push" or "$addToSet"
+   * @returns {boolean}
+   */
+  isAppending(path, value, operator) {
+    const pending = this.pushes.get(path);
+    return Boolean(pending) && pending.operator === operator && pending.values.includes(value);
+  }
+
+  /**
+   * Records a value for a path under an operator the spec names ("$inc", "$push", ...)
+   *
+   * @param {string} operator - Update operator
+   * @param {string} path - Dotted update path
+   * @param {*} value - Operand
+   */
+  write(operator, path, value) {
+    this.clear(path);
+
+    if (!this.explicit.has(operator)) {
+      this.explicit.set(operator, new Map());
+    }
+    this.explicit.get(operator).set(path, value);
+  }
+
+  /**
+   * Builds the update document, leaving out operators without operations
+   *
+   * @returns {Object}
+   */
+  build() {
+    const update = {};
+    const merge = (operator, entries) => {
+      if (entries.length) {
+        update[operator] = { ...update[operator], ...Object.fromEntries(entries) };
+      }
+    };
+
+    merge("$set", [...this.set]);
+    merge("$unset", [...this.unset].map((path) => [path, ""]));
+    [...this.pushes].forEach(([path, { operator, values }]) => {
+      merge(operator, [[path, values.length === 1 ? values[0] : { $each: values }]]);
+    });
+
+    this.explicit.forEach((operations, operator) => merge(operator, [...operations]));
+
+    return update;
+  }
+}
+
+/**
+ * Operators whose first key names an array to append to, rather than a path to write
+ */
+const arrayUpdateOperators = new Set(["$push", "$addToSet"]);
+
+/**
+ * Records one resolved field in an update builder
+ *
+ * @param {UpdateBuilder} builder - Update being built
+ * @param {Object} field - Field, computed or exclusion plan
+ * @param {*} value - Resolved value
+ * @param {Map<string, *>} [elements=new Map()] - Items the field's spec appends under an array
+ *   operator, by operator and array path, so the fields of one spec build a single item
+ * @throws {Error} If the field's target cannot be expressed as an update
+ */
+function addToUpdate(builder, field, value, elements = new Map()) {
+  if (field.type === "exclusion") {
+    builder.clear(toUpdatePath(field.segments, field.identifier));
+    builder.unset.add(toUpdatePath(field.segments, field.identifier));
+    return;
+  }
+  if (isUndefined(value)) {
+    return;
+  }
+
+  // "*" sets every top-level key of the value
+  if (field.identifier === "*") {
+    if (!isObject(value)) {
+      throw new Error(`A "*" field needs an object value in an update, received: ${typeof value}`);
+    }
+    Object.entries(value).forEach(([key, item]) => {
+      if (!isUndefined(item)) {
+        builder.assign(toUpdatePath([{ type: "key", key }], key), item);
+      }
+    });
+    return;
+  }
+
+  const segments = field.writeSegments || [];
+  const [first] = segments;
+
+  // Targets under an operator keep it: "n:$inc.stats.views" → { $inc: { "stats.views": ... } }
+  if (first && first.type === "key" && first.key.startsWith("$")) {
+    const operator = first.key;
+    const [arrayKey, ...itemSegments] = segments.slice(1);
+
+    if (!arrayKey) {
+      if (!isObject(value)) {
+        throw new Error(`An operator target needs an object value in an update, received: ${typeof value}`);
+      }
+      Object.entries(value).forEach(([path, item]) => {
+        if (isUndefined(item)) {
+          return;
+        }
+        if (arrayUpdateOperators.has(operator)) {
+          builder.append(path, item, operator);
+        } else {
+          builder.write(operator, path, item);
+        }
+      });
+      return;
+    }
+    if (!arrayUpdateOperators.has(operator)) {
+      builder.write(operator, toUpdatePath([arrayKey, ...itemSegments], field.identifier), value);
+      return;
+    }
+
+    // The first key is the array: [":$push.kycRequests", "name,gender"] appends one { name, gender }
+    const path = toUpdatePath([arrayKey], field.identifier);
+    const key = `${operator} ${path}`;
+    const item = elements.get(key);
+
+    if (itemSegments.length && builder.isAppending(path, item, operator)) {
+      writeSegments(item, itemSegments, value);
+      return;
+    }
+
+    const appended = itemSegments.length ? writeSegments({}, itemSegments, value) : value;
+    elements.set(key, appended);
+    builder.append(path, appended, operator);
+    return;
+  }
+
+  const pushAt = segments.findIndex((segment) => segment.type === "push");
+  if (pushAt === -1) {
+    builder.assign(toUpdatePath(segments, field.identifier), value);
+    return;
+  }
+
+  // "photos.[]" appends the value, "photos.[].url" appends { url: value }
+  const rest = segments.slice(pushAt + 1);
+  if (rest.some((segment) => segment.type === "push")) {
+    throw new Error(`Only one "[]" can be used in an update path: ${field.identifier}`);
+  }
+  builder.append(
+    toUpdatePath(segments.slice(0, pushAt), field.identifier),
+    rest.length ? writeSegments({}, rest, value) : value
+  );
+}
+
+/**
+ * Runs parsed group plans against a source object, building a MongoDB update document
+ *
+ * @param {Object} obj - Source object
+ * @param {Array<Object>} plans - Group plans from parseFields
+ * @param {Object} [options=defaultOptions] - Resolved options
+ * @returns {Object} Update document
+ * @throws {Error} If a target cannot be expressed as an update
+ */
+function runPlansUpdate(obj, plans, options = defaultOptions) {
+  const builder = new UpdateBuilder(options.arrayOperator);
+  const sourceObj = cloneSource(obj, options.clone);
+
+  if (options.strict) {
+    assertNoneMissing(sourceObj, plans);
+  }
+
+  plans.forEach((plan) => {
+    const elements = new Map();
+    resolveGroup(sourceObj, plan).forEach(({ field, value }) => {
+      addToUpdate(builder, field, value, elements);
+    });
+  });
+
+  return builder.build();
+}
+
+/**
+ * Maps like mapObject, but returns a MongoDB update document instead of a nested object,
+ * so a partial update never overwrites sibling fields
+ *
+ * - Targets become dotted $set paths: ":address::city" → { $set: { "address.city": ... } }
+ * - Null values and exclusions ("-password") become $unset
+ * - "[]" targets become $push ($addToSet with withOptions({ arrayOperator: "$addToSet" }));
+ *   several values for one array use $each
+ * - Projection targets ("items.[status]") use the all-positional operator: "items.$[].status"
+ * - Targets starting with an operator keep it, with the rest as a dotted path:
+ *   "n:$inc.stats.views" → { $inc: { "stats.views": ... } }. Under $push and $addToSet the first
+ *   key is the array, and the fields of one spec build one item: "photo:$push.photos.url"
+ *   → { $push: { photos: { url: ... } } }
+ * - A later operation on a path replaces earlier ones on the path, its ancestors and its descendants
+ *
+ * Negative indices, filters and keys containing "." cannot be expressed and throw.
+ *
+ * @example
+ * mapObject.toUpdate(form, ":profile::name,bio", "photoUrl:photos.[]", "nickname");
+ * // {
+ * //   $set: { "profile.name": "Ann", "profile.bio": "Hi" },
+ * //   $unset: { nickname: "" },          // form.nickname was null
+ * //   $push: { photos: "https://..." }
+ * // }
+ *
+ * @param {Object} obj - Source object
+ * @param {...(string|Array|Object)} fields - Field specifications (map strings, arrays or computed field objects)
+ * @returns {Object} Update document
+ * @throws {Error} If a target cannot be expressed as an update
+ */
+function toUpdate(obj, ...fields) {
+  return runPlansUpdate(obj, parseFields(fields));
+}
+
+// ============================================================================
+// JSON Patch
+// ============================================================================
+
+/**
+ * Error thrown by applyPatch when an operation cannot be applied
+ * Operations before it have already been applied to the target.
+ */
+class PatchError extends Error {
+  /**
+   * @param {string} reason - Why the operation failed
+   * @param {*} operation - The failing operation, as given (it may not be an object)
+   * @param {number} index - The operation's position in the patch
+   */
+  constructor(reason, operation, index) {
+    const summary = isObject(operation) ? ` (${operation.op} ${operation.path})` : "";
+    super(`Patch operation ${index}${summary} failed: ${reason}`);
+    this.name = "PatchError";
+    this.operation = operation;
+    this.index = index;
+  }
+}
+
+/**
+ * Formats reference tokens as a JSON Pointer ("/users/0/first~1last")
+ *
+ * @param {Array<string|number>} tokens - Reference tokens
+ * @returns {string}
+ */
+const toPointer = (tokens) =>
+  tokens.map((token) => `/${String(token).replace(/~/g, "~0").replace(/\//g, "~1")}`).join("");
+
+/**
+ * Splits a JSON Pointer into reference tokens
+ *
+ * @param {string} pointer - JSON Pointer ("" for the whole document)
+ * @returns {Array<string>}
+ * @throws {Error} If the pointer is not a string or does not start with "/"
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+    throw new Error(`JSON Pointer must be "" or start with "/", received: ${pointer}`);
+  }
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Turns reference tokens into path segments for the containers they pass through,
+ * so arrays are addressed by index ("-" is the "[]" push segment) and objects by key
+ *
+ * @param {*} obj - Document the pointer refers into
+ * @param {Array<string>} tokens - Reference tokens
+ * @returns {Array<Object>} Path segments
+ * @throws {Error} If a token passes through a missing value or is not a valid array index
+ */
+function pointerSegments(obj, tokens) {
+  const segments = [];
+
+  tokens.forEach((token, position) => {
+    const container = readSegments(obj, segments);
+
+    if (Array.isArray(container)) {
+      if (token === "-" && position === tokens.length - 1) {
+        segments.push({ type: "push" });
+      } else if (/^(?:0|[1-9]\d*)$/.test(token)) {
+        segments.push({ type: "index", index: Number(token) });
+      } else {
+        throw new Error(`"${token}" is not an array index`);
+      }
+    } else if (isObject(container)) {
+      segments.push({ type: "key", key: token });
+    } else {
+      throw new Error(`path ${toPointer(tokens.slice(0, position))} does not exist`);
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * Compares values structurally: plain objects and arrays by content, Dates by time
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+function isEqualValue(a, b) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqualValue(item, b[index]));
+  }
+  if (isObject(a) && isObject(b) && Object.getPrototypeOf(a) === Object.getPrototypeOf(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => key in b && isEqualValue(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Members each JSON Patch operation needs besides "op" and "path" (RFC 6902 section 4)
+ */
+const patchOperationMembers = {
+  add: ["value"],
+  remove: [],
+  replace: ["value"],
+  move: ["from"],
+  copy: ["from"],
+  test: ["value"],
+};
+
+/**
+ * Checks that a JSON Patch operation is an object with a known "op" and the members it needs
+ *
+ * @param {*} operation - Operation to check
+ * @throws {Error} If the operation is malformed
+ */
+function assertPatchOperation(operation) {
+  if (!isObject(operation)) {
+    const type = Array.isArray(operation) ? "array" : isNull(operation) ? "null" : typeof operation;
+    throw new Error(`operation must be an object, received: ${type}`);
+  }
+  if (!Object.hasOwn(patchOperationMembers, operation.op)) {
+    throw new Error(`unknown operation "${operation.op}"`);
   }
 
-  // Split on colon: "user.name:fullName" → ["user.name", "fullName"]
-  const [sourcePath, targetPath] = map.split(":");
-  const value = readValue(obj, sourcePath);
+  const missing = patchOperationMembers[operation.op].find((member) => isUndefined(operation[member]));
+  if (missing) {
+    throw new Error(`"${operation.op}" operation needs a "${missing}" member`);
+  }
+}
 
-  // Use target path if provided, otherwise use source path as identifier
-  const identifier = targetPath || sourcePath;
+/**
+ * Applies one JSON Patch operation to a document
+ *
+ * @param {*} obj - Document to patch (mutated in place)
+ * @param {Object} operation - Operation ({ op, path, value, from })
+ * @returns {*} The patched document (a different value when the operation targets the root)
+ * @throws {Error} If the operation is malformed or cannot be applied
+ */
+function applyOperation(obj, operation) {
+  assertPatchOperation(operation);
+
+  const { op, path, from } = operation;
+  const tokens = parsePointer(path);
+  const segments = pointerSegments(obj, tokens);
+  const parentSegments = segments.slice(0, -1);
+  const last = segments.at(-1);
+  const parent = readSegments(obj, parentSegments);
+  const exists = Boolean(last) && (last.type === "key" ? Object.hasOwn(parent, last.key) : last.index < parent.length);
+
+  const insert = (value) => {
+    if (!last) {
+      return value;
+    }
+    if (last.type === "push") {
+      parent.push(value);
+    } else if (last.type === "index") {
+      if (last.index > parent.length) {
+        throw new Error(`index ${last.index} is out of bounds`);
+      }
+      parent.splice(last.index, 0, value);
+    } else {
+      parent[last.key] = value;
+    }
+    return obj;
+  };
+
+  const assertExists = () => {
+    if (last && !exists) {
+      throw new Error(`path ${path} does not exist`);
+    }
+  };
+
+  switch (op) {
+    case "add":
+      return insert(operation.value);
+    case "remove":
+      assertExists();
+      if (!last) {
+        throw new Error("the document root cannot be removed");
+      }
+      removeSegments(obj, segments);
+      return obj;
+    case "replace":
+      assertExists();
+      if (last && last.type === "index") {
+        parent[last.index] = operation.value;
+        return obj;
+      }
+      return insert(operation.value);
+    case "move":
+    case "copy": {
+      const sourceSegments = pointerSegments(obj, parsePointer(from));
+      const value = readSegments(obj, sourceSegments);
 
-  return { identifier, value };
+      if (isUndefined(value)) {
+        throw new Error(`path ${from} does not exist`);
+      }
+      if (op === "copy") {
+        return applyOperation(obj, { op: "add", path, value: cloneValue(value) });
+      }
+      if (path.startsWith(`${from}/`)) {
+        throw new Error(`${from} cannot be moved into itself`);
+      }
+      return applyOperation(applyOperation(obj, { op: "remove", path: from }), { op: "add", path, value });
+    }
+    case "test":
+      if (!isEqualValue(readSegments(obj, segments), operation.value) || (last && !exists)) {
+        throw new Error(`value at ${path} does not match`);
+      }
+      return obj;
+  }
 }
 
 /**
- * Resolves an array of map strings, handling nested mappers and prefixes
+ * Applies RFC 6902 JSON Patch operations (add, remove, replace, move, copy, test) in order
+ * "/-" appends to an array, like the "[]" push segment of writeValue.
  *
- * Supports advanced patterns:
- * - "personalInfo." - Read all from personalInfo (mapper prefix)
- * - ":address." - Write all to address (mapper prefix)
- * - "personalInfo:person." - Read from personalInfo, write with person prefix
- * - Nested arrays for grouping: ["name", "email"] within larger map
- * - Multi-field syntax: "name,email" or "name::email"
+ * @example
+ * const doc = { name: "Ann", tags: ["a"] };
+ * applyPatch(doc, [
+ *   { op: "replace", path: "/name", value: "Anna" },
+ *   { op: "add", path: "/tags/-", value: "b" },
+ * ]);
+ * // doc = { name: "Anna", tags: ["a", "b"] }
+ *
+ * @param {Object|Array} obj - Document to patch (mutated in place)
+ * @param {Array<Object>} operations - JSON Patch operations
+ * @returns {*} The patched document (a different value when an operation replaces the root)
+ * @throws {PatchError} If an operation cannot be applied; earlier operations stay applied
+ */
+function applyPatch(obj, operations) {
+  if (!Array.isArray(operations)) {
+    throw new Error(`Patch must be an array of operations, received: ${typeof operations}`);
+  }
+
+  return operations.reduce((document, operation, index) => {
+    try {
+      return applyOperation(document, operation);
+    } catch (error) {
+      throw new PatchError(error.message, operation, index);
+    }
+  }, obj);
+}
+
+/**
+ * Collects patch operations that write a value at a write path, walking the working
+ * document the same way writeSegments would and applying each operation to it
+ *
+ * @param {{document: *, operations: Array<Object>}} state - Working document and operations so far
+ * @param {Array<Object>} segments - Remaining write path segments
+ * @param {*} value - Value to write
+ * @param {Array<string|number>} tokens - Reference tokens of the current node
+ * @param {string} identifier - The field's target (for error messages)
+ * @throws {Error} If a segment has no JSON Pointer equivalent
+ */
+function addWriteOperations(state, segments, value, tokens, identifier) {
+  const emit = (operation) => {
+    state.document = applyOperation(state.document, operation);
+    state.operations.push(operation);
+  };
+
+  const node = readSegments(state.document, pointerSegments(state.document, tokens.map(String)));
+  const [segment, ...rest] = segments;
+
+  // Writes the rest of the path below an existing or missing child
+  const writeChild = (childTokens, exists) => {
+    const child = exists
+      ? readSegments(state.document, pointerSegments(state.document, childTokens.map(String)))
+      : undefined;
+    const pointer = toPointer(childTokens);
+
+    if (!rest.length) {
+      if (isNull(value)) {
+        if (exists) {
+          emit({ op: "remove", path: pointer });
+        }
+      } else if (!exists) {
+        emit({ op: "add", path: pointer, value: cloneValue(value) });
+      } else if (!isEqualValue(child, value)) {
+        emit({ op: "replace", path: pointer, value: cloneValue(value) });
+      }
+      return;
+    }
+
+    const fits = isArraySegment(rest[0]) ? Array.isArray(child) : isObject(child);
+    if (fits) {
+      addWriteOperations(state, rest, value, childTokens, identifier);
+    } else if (!isNull(value)) {
+      // Missing or mismatched containers are written whole, inferred like writeValue does
+      const built = writeSegments(isArraySegment(rest[0]) ? [] : {}, rest, cloneValue(value));
+      emit({ op: exists ? "replace" : "add", path: pointer, value: built });
+    }
+  };
+
+  if (segment.type === "key" && isObject(node)) {
+    writeChild([...tokens, segment.key], Object.hasOwn(node, segment.key));
+  } else if (segment.type === "index" && Array.isArray(node)) {
+    const index = segment.index < 0 ? Math.max(node.length + segment.index, 0) : segment.index;
+    if (index > node.length) {
+      throw new Error(
+        `Index ${segment.index} is past the end of ${toPointer(tokens) || "the document"}: ${identifier}`
+      );
+    }
+    writeChild([...tokens, index], index < node.length);
+  } else if (segment.type === "push" && Array.isArray(node)) {
+    if (!isNull(value)) {
+      emit({
+        op: "add",
+        path: toPointer([...tokens, "-"]),
+        value: rest.length
+          ? writeSegments(isArraySegment(rest[0]) ? [] : {}, rest, cloneValue(value))
+          : cloneValue(value),
+      });
+    }
+  } else if (segment.type === "project" && Array.isArray(node) && !rest.length) {
+    node.forEach((item, index) => {
+      if (isObject(item) || Array.isArray(item)) {
+        addWriteOperations(state, segment.segments, value, [...tokens, index], identifier);
+      }
+    });
+  } else if (segment.type === "filter" && Array.isArray(node)) {
+    const matchIndexes = node.flatMap((item, index) => (matchesPredicate(item, segment.predicate) ? [index] : []));
+    const narrowed = Boolean(rest[0]) && rest[0].type === "index";
+    const targetIndexes = narrowed
+      ? [matchIndexes.at(rest[0].index)].filter((index) => !isUndefined(index))
+      : matchIndexes;
+    const targetRest = narrowed ? rest.slice(1) : rest;
+
+    targetIndexes.forEach((index) => {
+      if (targetRest.length) {
+        addWriteOperations(state, targetRest, value, [...tokens, index], identifier);
+      } else {
+        addWriteOperations(state, [{ type: "index", index }], value, tokens, identifier);
+      }
+    });
+  } else {
+    throw new Error(`Path segment "${printSegments([segment])}" cannot be written as a patch: ${identifier}`);
+  }
+}
+
+/**
+ * Collects the reference tokens of every existing value an exclusion path matches
+ *
+ * @param {*} node - Current node
+ * @param {Array<Object>} segments - Remaining read path segments
+ * @param {Array<string|number>} tokens - Reference tokens of the current node
+ * @param {string} identifier - The exclusion (for error messages)
+ * @returns {Array<Array<string|number>>}
+ * @throws {Error} If a segment has no JSON Pointer equivalent
+ */
+function matchPointers(node, segments, tokens, identifier) {
+  if (!segments.length) {
+    return [tokens];
+  }
+
+  const [segment, ...rest] = segments;
+  const descend = (key) => matchPointers(node[key], rest, [...tokens, key], identifier);
+
+  if (segment.type === "key") {
+    return isObject(node) && Object.hasOwn(node, segment.key) ? descend(segment.key) : [];
+  }
+  if (segment.type === "wildcard") {
+    return isObject(node) || Array.isArray(node)
+      ? Object.keys(node).flatMap((key) => descend(Array.isArray(node) ? Number(key) : key))
+      : [];
+  }
+  if (segment.type === "descend" || (segment.type === "filter" && rest.length && isArraySegment(rest[0]))) {
+    throw new Error(`Path segment "${printSegments([segment])}" cannot be removed by a patch: ${identifier}`);
+  }
+  if (!Array.isArray(node)) {
+    return [];
+  }
+  if (segment.type === "index") {
+    const index = segment.index < 0 ? node.length + segment.index : segment.index;
+    return index >= 0 && index < node.length ? descend(index) : [];
+  }
+  if (segment.type === "project") {
+    return node.flatMap((item, index) =>
+      matchPointers(item, [...segment.segments, ...rest], [...tokens, index], identifier)
+    );
+  }
+  return node.flatMap((item, index) => (matchesPredicate(item, segment.predicate) ? descend(index) : []));
+}
+
+/**
+ * Runs parsed group plans against a source object, collecting the JSON Patch operations
+ * that write their results into a target document
+ *
+ * @param {Object|Array} target - Document to patch (not modified)
+ * @param {Object|Array} obj - Source object
+ * @param {Array<Object>} plans - Group plans from parseFields
+ * @param {Object} [options=defaultOptions] - Resolved options
+ * @returns {Array<Object>} JSON Patch operations
+ * @throws {Error} If a target path cannot be expressed as a JSON Pointer
+ */
+function runPlansPatch(target, obj, plans, options = defaultOptions) {
+  if (!isObject(target) && !Array.isArray(target)) {
+    throw new Error(`Patch target must be an object or an array, received: ${typeof target}`);
+  }
+
+  const state = { document: cloneValue(target), operations: [] };
+  const sourceObj = cloneSource(obj, options.clone);
+
+  if (options.strict) {
+    assertNoneMissing(sourceObj, plans);
+  }
+
+  plans.forEach((plan) => {
+    resolveGroup(sourceObj, plan).forEach(({ field, value }) => {
+      if (field.type === "exclusion") {
+        // Later array items first, so earlier indices stay valid
+        matchPointers(state.document, field.segments || [], [], field.identifier)
+          .reverse()
+          .forEach((tokens) => {
+            const operation = { op: "remove", path: toPointer(tokens) };
+            state.document = applyOperation(state.document, operation);
+            state.operations.push(operation);
+          });
+      } else if (isUndefined(value)) {
+        // Nothing to write
+      } else if (field.identifier === "*") {
+        if (isObject(value) && isObject(state.document)) {
+          Object.entries(value).forEach(([key, item]) => {
+            if (!isUndefined(item)) {
+              addWriteOperations(state, [{ type: "key", key }], item, [], key);
+            }
+          });
+        } else if (!isEqualValue(state.document, value)) {
+          state.operations.push({ op: "replace", path: "", value: cloneValue(value) });
+          state.document = cloneValue(value);
+        }
+      } else if (field.writeSegments) {
+        addWriteOperations(state, field.writeSegments, value, [], field.identifier);
+      }
+    });
+  });
+
+  return state.operations;
+}
+
+/**
+ * Lists the RFC 6902 JSON Patch operations that would write a mapping's output into
+ * an existing document, for audit logs and optimistic updates
+ *
+ * Each mapped field becomes "add" (missing path), "replace" (changed value) or nothing
+ * (unchanged value). "[]" targets become "add" at "/-", projection and filter targets
+ * one operation per item, and null values and exclusions ("-password") "remove".
+ * Missing containers are added whole, inferred the way writeValue does.
  *
  * @example
- * const data = { user: { name: "Alice", email: "alice@example.com" } };
- * resolveMapArray(data, ["user.", "name", "email:userEmail"]);
+ * const user = { name: "Ann", tags: ["a"], password: "x" };
+ * mapObject.patch(user, form, "name", "tag:tags.[]", "-password");
  * // [
- * //   { identifier: "name", value: "Alice" },
- * //   { identifier: "userEmail", value: "alice@example.com" }
+ * //   { op: "replace", path: "/name", value: "Anna" },
+ * //   { op: "add", path: "/tags/-", value: "b" },
+ * //   { op: "remove", path: "/password" }
  * // ]
  *
- * @param {Object} obj - Source object
- * @param {Array<string|Array>} mapArray - Array of map strings or nested arrays
- * @returns {Array<{identifier: string, value: *}>}
- * @throws {Error} If mapArray is not an array
+ * @param {Object|Array} target - Document to patch (not modified)
+ * @param {Object|Array} obj - Source object
+ * @param {...(string|Array|Object)} fields - Field specifications (map strings, arrays or computed field objects)
+ * @returns {Array<Object>} JSON Patch operations
+ * @throws {Error} If a target path cannot be expressed as a JSON Pointer
  */
-function resolveMapArray(obj, mapArray) {
-  if (!Array.isArray(mapArray)) {
-    throw new Error(`Map array must be an array, received: ${typeof mapArray}`);
+function patch(target, obj, ...fields) {
+  return runPlansPatch(target, obj, parseFields(fields));
+}
+
+// ============================================================================
+// Inversion
+// ============================================================================
+
+/**
+ * Explains why a parsed path cannot be written back to, or null if it can
+ *
+ * @param {Array<Object>|null} segments - Read or write path segments
+ * @returns {string|null}
+ */
+function describeNonInvertiblePath(segments) {
+  const reasons = {
+    wildcard: (segment) => segment.type === "wildcard",
+    "array push": (segment) => segment.type === "push",
+    "recursive descent": (segment) => segment.type === "descend",
+    "negative index": (segment) => segment.type === "index" && segment.index < 0,
+    "array projection": (segment) => segment.type === "project",
+    "array filter": (segment) => segment.type === "filter",
+  };
+
+  const found = Object.keys(reasons).find((reason) => (segments || []).some(reasons[reason]));
+  return found || null;
+}
+
+/**
+ * Derives the reverse mapping of a spec: fields that map the output shape back to the source shape
+ *
+ * Every field is turned around ("profile.name:fullName" → "fullName:profile.name"), with
+ * mapper read paths folded into the target and write prefixes folded into the source.
+ * Fields that cannot be reversed, on their own or because of their mapper read path, are
+ * left out of `fields` and reported in `issues`:
+ * array projections ("[prop]"), array filters ("[?...]"), negative indices, wildcards,
+ * recursive descent ("**"), array pushes ("[]"), transforms, fallbacks, literal defaults and
+ * computed fields (reported by target).
+ * Conditions are dropped: a field left out of the output is simply not written back.
+ *
+ * The result is driven by the same parser as resolveMapArray, so a round-trip is verifiable:
+ * mapObject(mapObject(source, ...spec), ...invert(...spec).fields) yields the mapped part of source.
+ *
+ * @example
+ * mapObject.invert("profile.name:fullName", ":address::line1,line2");
+ * // {
+ * //   fields: ["fullName:profile.name", "address.line1:line1", "address.line2:line2"],
+ * //   issues: []
+ * // }
+ *
+ * @example
+ * mapObject.invert("photos.-1.url:photo", "email|lower");
+ * // {
+ * //   fields: [],
+ * //   issues: [
+ * //     { map: "photos.-1.url:photo", reason: "negative index" },
+ * //     { map: "email|lower", reason: "transform" }
+ * //   ]
+ * // }
+ *
+ * @param {...(string|Array|Object)} fields - Field specifications (map strings, arrays or computed field objects)
+ * @returns {{fields: Array<string>, issues: Array<{map: string, reason: string}>}}
+ * @throws {Error} If any field specification is invalid
+ */
+function invert(...fields) {
+  const inverted = { fields: [], issues: [] };
+
+  const invertGroup = (group, readPrefix, prefixReason) => {
+    const sourcePrefix = group.readPath ? `${readPrefix}${group.readPath.raw}.` : readPrefix;
+    // A mapper read path is part of every source path in the group
+    const readPathReason = prefixReason || describeNonInvertiblePath(group.readPath && group.readPath.segments);
+
+    group.items.forEach((item) => {
+      if (item.type === "group") {
+        invertGroup(item, sourcePrefix, readPathReason);
+        return;
+      }
+      if (item.type === "exclusion" || item.type === "condition") {
+        return;
+      }
+      if (item.type === "computed") {
+        inverted.issues.push({ map: item.node.raw, reason: "computed field" });
+        return;
+      }
+
+      const { sources, transforms, raw } = item.node;
+      const [source] = sources;
+      const reason =
+        (source.type === "literal" && "literal default") ||
+        (sources.length > 1 && "fallback") ||
+        (transforms.length > 0 && "transform") ||
+        readPathReason ||
+        describeNonInvertiblePath(source.segments) ||
+        (item.identifier === "*" ? "wildcard" : describeNonInvertiblePath(item.writeSegments));
+
+      if (reason) {
+        inverted.issues.push({ map: raw, reason });
+        return;
+      }
+
+      const target = `${sourcePrefix}${source.raw}`;
+      inverted.fields.push(target === item.identifier ? target : `${item.identifier}:${target}`);
+    });
+  };
+
+  parseFields(fields).forEach((plan) => invertGroup(plan, "", null));
+
+  return inverted;
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Finds the first unbalanced bracket, parenthesis or unclosed quote in a string
+ *
+ * @param {string} str - String to check
+ * @returns {{offset: number, message: string}|null}
+ */
+function findUnbalanced(str) {
+  const opened = [];
+  let quote = null;
+
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+
+    if (char === "\\") {
+      i++;
+    } else if (quote) {
+      if (char === quote.char) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = { char, offset: i };
+    } else if (char === "[" || char === "(") {
+      opened.push({ char, offset: i });
+    } else if (char === "]" || char === ")") {
+      const last = opened.pop();
+      if (!last || last.char !== (char === "]" ? "[" : "(")) {
+        return { offset: i, message: `Unmatched "${char}"` };
+      }
+    }
   }
 
-  const workingMapArray = mapArray.slice();
-  let sourceObj = obj;
-  let identifierPrefix = "";
+  if (quote) {
+    return { offset: quote.offset, message: `Unclosed quote ${quote.char}` };
+  }
+  if (opened.length) {
+    const last = opened.pop();
+    return { offset: last.offset, message: `Unclosed "${last.char}"` };
+  }
+  return null;
+}
 
-  // Check if first element is a mapper (path prefix directive)
-  const firstElement = mapArray[0];
-  if (typeof firstElement === "string" && isMapper(firstElement)) {
-    workingMapArray.shift();
+/**
+ * Checks a path for unbalanced brackets, empty segments and invalid segments
+ *
+ * @param {string} path - Path to check
+ * @param {number} offset - Offset of the path in its spec string
+ * @param {function(number, string): void} report - Records a diagnostic
+ */
+function validatePath(path, offset, report) {
+  if (path === "") {
+    report(offset, "Empty path");
+    return;
+  }
 
-    // Parse mapper: "source:target." or "source." or ":target."
-    const [readPath, writePath] = firstElement.split(/:|\.$/);
-    const normalizedReadPath = readPath || (firstElement.endsWith(".") && writePath) || "";
+  const unbalanced = findUnbalanced(path);
+  if (unbalanced) {
+    report(offset + unbalanced.offset, unbalanced.message);
+    return;
+  }
 
-    // Update source object if read path specified
-    if (normalizedReadPath) {
-      sourceObj = readValue(obj, normalizedReadPath);
+  scanTopLevel(path, ["."]).forEach(({ text, offset: pieceOffset }) => {
+    if (text === "") {
+      report(offset + pieceOffset, "Empty path segment");
+      return;
     }
 
-    // Update identifier prefix if write path specified
-    if (writePath) {
-      identifierPrefix = `${writePath}.`;
+    try {
+      if (!parseSegment(text, path)) {
+        report(offset + pieceOffset, `Invalid path segment "${text}"`);
+      }
+    } catch (error) {
+      report(offset + pieceOffset, error.message);
     }
+  });
+}
+
+/**
+ * Checks if a field that failed to parse as a mapper prefix was probably meant as one
+ * @param {string} raw - Field string
+ * @returns {boolean}
+ */
+const looksLikeMapper = (raw) => raw.startsWith(":") || /(^|[^\\])\.$/.test(raw);
+
+/**
+ * Checks the path nodes of an item with validatePath
+ *
+ * @param {Array<Object|null>} paths - Path nodes (null entries are skipped)
+ * @param {function(number, string): void} report - Records a diagnostic
+ * @returns {boolean} Whether every path is valid
+ */
+function validatePathNodes(paths, report) {
+  let valid = true;
+
+  paths.filter(Boolean).forEach(({ raw, offset }) => {
+    validatePath(raw, offset, (at, message) => {
+      valid = false;
+      report(at, message);
+    });
+  });
+
+  return valid;
+}
+
+/**
+ * Checks a field node: misplaced or malformed mapper prefixes, ignored ":" sections, paths,
+ * unknown transforms, and what else planField rejects (literal defaults without a target)
+ *
+ * @param {Object} node - Field node
+ * @param {{first: boolean, identifierPrefix: string, conditional: boolean}} context - Where the field is
+ * @param {function(number, string): void} report - Records a diagnostic
+ * @param {Array<Object>} targets - Accumulator for written targets (for conflict checks)
+ */
+function validateFieldNode(node, { first, identifierPrefix, conditional }, report, targets) {
+  if (node.raw === "") {
+    report(node.offset, "Empty field");
+    return;
+  }
+  if (isMapper(node.raw)) {
+    report(node.offset, `Mapper prefix "${node.raw}" only applies as the first item of a group`);
+    return;
+  }
+  if (first && looksLikeMapper(node.raw)) {
+    report(node.offset, `Malformed mapper prefix "${node.raw}"`);
+    return;
+  }
+
+  const fieldText = node.condition ? node.raw.slice(0, node.condition.offset - node.offset) : node.raw;
+  const [, , extra] = scanTopLevel(fieldText.trimEnd(), [":"]);
+  if (extra) {
+    report(node.offset + extra.offset - 1, `Extra ":" section "${extra.text}" is ignored`);
   }
 
-  const resolvedMaps = [];
+  const paths = node.sources.filter(({ type }) => type === "path");
+  const pathsValid = validatePathNodes([...paths, node.target], report);
+  const transformErrors = node.transforms.filter((transform) => {
+    try {
+      assertTransform(transform, node.raw);
+      return false;
+    } catch (error) {
+      report(transform.offset, error.message);
+      return true;
+    }
+  });
 
-  // Return empty if source object is undefined/null
-  if (isUndefined(sourceObj) || isNull(sourceObj)) {
-    return resolvedMaps;
-  }
-
-  // Process each map in the array
-  workingMapArray.forEach((mapItem) => {
-    if (typeof mapItem === "string") {
-      // Handle multi-field syntax: "name,email" or "name::email"
-      if (/::|,/.test(mapItem)) {
-        const expandedMap = toMapArray(mapItem);
-        const nestedResults = resolveMapArray(sourceObj, expandedMap);
-
-        resolvedMaps.push(
-          ...nestedResults.map(({ identifier, value }) => ({
-            identifier: `${identifierPrefix}${identifier}`,
-            value,
-          }))
+  if (!pathsValid || transformErrors.length) {
+    return;
+  }
+
+  try {
+    const { identifier } = planField(node, identifierPrefix);
+    targets.push({ identifier, offset: (node.target || node).offset, conditional, report });
+  } catch (error) {
+    report(node.offset, error.message);
+  }
+}
+
+/**
+ * Checks the nodes of a parsed group, honoring its mapper prefix and "@if" items
+ *
+ * @param {Object} group - Group node from parseSpec, where entries that failed to parse are "invalid" nodes
+ * @param {string} parentPrefix - Write prefix inherited from enclosing mappers
+ * @param {{reporters: Map, targets: Array}} state - Validation state: the diagnostic reporter
+ *   of every node, and the written targets
+ * @param {boolean} [parentConditional=false] - Whether an enclosing group is gated by a condition
+ */
+function validateGroupNode(group, parentPrefix, state, parentConditional = false) {
+  const { mapper, items } = group;
+  const identifierPrefix = mapper && mapper.writePath ? `${parentPrefix}${mapper.writePath.raw}.` : parentPrefix;
+  let conditional = parentConditional;
+
+  if (mapper && !items.length) {
+    state.reporters.get(mapper)(mapper.offset, `Mapper prefix "${mapper.raw}" has no fields to apply to`);
+  }
+
+  items.forEach((node, index) => {
+    const report = state.reporters.get(node);
+
+    if (node.type === "invalid") {
+      report(node.offset, node.message);
+    } else if (node.type === "group") {
+      validateGroupNode(node, identifierPrefix, state, conditional);
+    } else if (node.type === "condition") {
+      conditional = true;
+    } else if (node.type === "exclusion") {
+      validatePathNodes([node.path], report);
+    } else if (node.type === "computed") {
+      if (validatePathNodes([node.target], report)) {
+        const { identifier } = planComputed(node, identifierPrefix);
+        state.targets.push({ identifier, offset: node.offset, conditional, report });
+      }
+    } else {
+      const context = {
+        first: index === 0 && !mapper,
+        identifierPrefix,
+        conditional: conditional || Boolean(node.condition),
+      };
+      validateFieldNode(node, context, report, state.targets);
+    }
+  });
+}
+
+/**
+ * Reports targets that write to the same path, or where one target is nested in another
+ * Targets with pushes, projections, filters or wildcards, and targets behind a condition,
+ * are not compared.
+ *
+ * @param {Array<{identifier: string, offset: number, conditional: boolean, report: Function}>} targets -
+ *   Written targets
+ */
+function validateTargets(targets) {
+  const comparable = targets
+    .filter((target) => !target.conditional)
+    .map((target) => {
+      try {
+        const segments = target.identifier === "*" ? null : parsePath(target.identifier);
+        const simple = segments && segments.every(({ type }) => type === "key" || type === "index");
+        return (
+          simple && { ...target, keys: segments.map((segment) => `${segment.type}:${segment.key ?? segment.index}`) }
         );
-      } else {
-        // Single field map
-        const result = resolveMap(sourceObj, mapItem);
-        resolvedMaps.push({
-          identifier: `${identifierPrefix}${result.identifier}`,
-          value: result.value,
-        });
+      } catch (error) {
+        return null;
       }
-    } else if (Array.isArray(mapItem)) {
-      // Nested array: recursively resolve
-      const nestedResults = resolveMapArray(sourceObj, mapItem);
-      resolvedMaps.push(
-        ...nestedResults.map(({ identifier, value }) => ({
-          identifier: `${identifierPrefix}${identifier}`,
-          value,
-        }))
+    })
+    .filter(Boolean);
+
+  comparable.forEach((target, index) => {
+    const conflict = comparable
+      .slice(0, index)
+      .find(
+        ({ keys }) =>
+          keys.slice(0, target.keys.length).every((key, i) => key === target.keys[i]) ||
+          target.keys.slice(0, keys.length).every((key, i) => key === keys[i])
       );
+
+    if (conflict) {
+      target.report(target.offset, `Target "${target.identifier}" conflicts with target "${conflict.identifier}"`);
+    }
+  });
+}
+
+/**
+ * Statically checks field specifications and returns positioned diagnostics
+ *
+ * Catches mistakes that would otherwise only show up as silently missing fields:
+ * malformed, misplaced or unused mapper prefixes, empty fields and path segments, unbalanced
+ * brackets or quotes, invalid segments, predicates and conditions, unknown transforms, literal
+ * defaults without a target, ignored ":" sections, and targets that overwrite each other.
+ * Specs are read with the same parser as mapObject, entry by entry, so a parse error in one
+ * entry is reported without hiding the others. Never throws; an empty array means the specs are valid.
+ *
+ * @example
+ * mapObject.validate("name,,email", "users.[name:names", "user:a:b");
+ * // [
+ * //   { spec: "name,,email", offset: 5, message: "Empty field" },
+ * //   { spec: "users.[name:names", offset: 6, message: 'Unclosed "["' },
+ * //   { spec: "user:a:b", offset: 6, message: 'Extra ":" section "b" is ignored' }
+ * // ]
+ *
+ * @example
+ * // In a unit test over every registered spec
+ * expect(mapObject.validate(...userResponseSpec)).toEqual([]);
+ *
+ * @param {...(string|Array|Object)} fields - Field specifications (map strings, arrays or computed field objects)
+ * @returns {Array<{spec: *, offset: number, message: string}>} Diagnostics in spec order,
+ *   followed by target conflicts
+ */
+function validate(...fields) {
+  const diagnostics = [];
+  const state = { reporters: new Map(), targets: [] };
+
+  // Parse every entry on its own, so one malformed entry does not hide the others: a failed entry
+  // becomes an "invalid" node, reported in spec order while walking the tree
+  const parseEntry = (entry, parseNodes) => {
+    const report = (offset, message) => diagnostics.push({ spec: entry.spec, offset, message });
+    const invalid = (message) => [{ type: "invalid", offset: entry.offset, message }];
+    let nodes;
+
+    if (typeof entry.item !== "string" && !Array.isArray(entry.item) && !isObject(entry.item)) {
+      nodes = invalid(`Field must be a string, an array or an object, received: ${typeof entry.item}`);
+    } else {
+      try {
+        nodes = parseNodes();
+      } catch (error) {
+        nodes = invalid(error.message);
+      }
+    }
+
+    nodes.forEach((node) => state.reporters.set(node, report));
+    return nodes;
+  };
+
+  fields.forEach((field) => {
+    if (typeof field !== "string" && !Array.isArray(field) && !isObject(field)) {
+      diagnostics.push({
+        spec: field,
+        offset: 0,
+        message: `Field must be a string, an array or an object, received: ${typeof field}`,
+      });
+      return;
     }
+
+    validateGroupNode(parseSpec(field, parseEntry), "", state);
   });
 
-  return resolvedMaps;
+  validateTargets(state.targets);
+
+  return diagnostics;
 }
 
 // ============================================================================
@@ -431,6 +4285,8 @@ function resolveMapArray(obj, mapArray) {
  * - Group fields: mapObject(obj, "name,email,phone")
  * - Use mappers for bulk operations: mapObject(obj, "user.", "name", "email")
  * - Wildcard extraction: mapObject(obj, "*") returns entire object
+ * - Transform values: mapObject(obj, "email|trim|lower", "createdAt|isoDate:created")
+ * - Computed fields: mapObject(obj, { fullName: (src) => `${src.first} ${src.last}` })
  *
  * @example
  * // Basic usage
@@ -461,50 +4317,11 @@ function resolveMapArray(obj, mapArray) {
  * // Returns: { user: { name: "Bob", email: "bob@example.com" } }
  *
  * @param {Object|Array} obj - Source object or array to query
- * @param {...(string|Array)} fields - Field specifications (map strings or arrays)
+ * @param {...(string|Array|Object)} fields - Field specifications (map strings, arrays or computed field objects)
  * @returns {Object|Array} New object with mapped data
  */
 function mapObject(obj, ...fields) {
-  // Initialize result container matching source type
-  const result = { newObj: Array.isArray(obj) ? [] : {} };
-
-  // Deep clone to avoid mutations (handles Mongoose documents via toObject)
-  const sourceObj = JSON.parse(JSON.stringify(obj && obj.toObject ? obj.toObject() : obj));
-
-  /**
-   * Processes a single map specification
-   */
-  function processMap(mapSpec) {
-    const expandedMap = toMapArray(mapSpec);
-
-    if (!Array.isArray(expandedMap)) {
-      return;
-    }
-
-    const resolvedFields = resolveMapArray(sourceObj, expandedMap);
-
-    resolvedFields.forEach(({ identifier, value }) => {
-      // Wildcard handling: merge or replace entire object
-      if (identifier === "*") {
-        if (Array.isArray(result.newObj) && Array.isArray(value)) {
-          result.newObj.push(...value);
-        } else if (isObject(result.newObj) && isObject(value)) {
-          Object.assign(result.newObj, value);
-        } else {
-          result.newObj = value;
-        }
-      } else {
-        writeValue(result.newObj, identifier, value);
-      }
-    });
-  }
-
-  // Process all field specifications
-  fields.forEach((mapSpec) => {
-    processMap(mapSpec);
-  });
-
-  return result.newObj;
+  return runPlans(obj, parseFields(fields));
 }
 
 // ============================================================================
@@ -514,6 +4331,31 @@ function mapObject(obj, ...fields) {
 // Expose utility functions for advanced use cases
 mapObject.readValue = readValue;
 mapObject.writeValue = writeValue;
+mapObject.setIn = setIn;
+mapObject.removeValue = removeValue;
+mapObject.resolveMap = resolveMap;
+mapObject.resolveMapArray = resolveMapArray;
+mapObject.registerTransform = registerTransform;
+mapObject.compile = compile;
+mapObject.invert = invert;
+mapObject.withOptions = withOptions;
+mapObject.registerAdapter = registerAdapter;
+mapObject.adapters = builtInAdapters;
+mapObject.validate = validate;
+mapObject.parse = parse;
+mapObject.print = print;
+mapObject.strict = strict;
+mapObject.MissingFieldsError = MissingFieldsError;
+mapObject.async = mapAsync;
+mapObject.FieldResolutionError = FieldResolutionError;
+mapObject.stream = stream;
+mapObject.RecordError = RecordError;
+mapObject.toUpdate = toUpdate;
+mapObject.patch = patch;
+mapObject.applyPatch = applyPatch;
+mapObject.PatchError = PatchError;
+mapObject.flatten = flatten;
+mapObject.unflatten = unflatten;
 
 // CommonJS export
 if (typeof module !== "undefined" && module.exports) {
@@ -0,0 +1,147 @@
+/**
+ * Builds the published bundles from mapObject.js
+ *
+ * - dist/mapObject.cjs - CommonJS, `module.exports = mapObject` (methods attached)
+ * - dist/mapObject.mjs - ES module with standalone named exports, and a default export built
+ *   from them, so bundlers can drop the methods a program does not import
+ * - dist/mapObject.umd.js - UMD bundle for AMD, CommonJS and browser globals
+ * - dist/mapObject.d.mts - Type declarations for the ES module
+ *
+ * The source stays a plain script; only its export footer (and, for the ES module, the
+ * `mapObject.x = x` attachments) is replaced per format.
+ *
+ * Usage: node scripts/build.js [outDir]
+ * The bundles are written to dist/ unless another output directory is given.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const root = path.join(__dirname, "..");
+const dist = process.argv[2] ? path.resolve(process.argv[2]) : path.join(root, "dist");
+
+// ============================================================================
+// Source Extraction
+// ============================================================================
+
+/**
+ * Reads the library source without its runtime export footer and trailing examples
+ *
+ * @returns {{body: string, attachments: string, exports: Array<{name: string, local: string}>}}
+ *   Library body without the `mapObject.x = x` attachments, the attachments, and the attached methods
+ * @throws {Error} If the export footer cannot be found
+ */
+function readSource() {
+  const source = fs.readFileSync(path.join(root, "mapObject.js"), "utf8").replace(/\r\n/g, "\n");
+  const footerStart = source.indexOf("// CommonJS export");
+
+  if (footerStart === -1) {
+    throw new Error('Could not find the "// CommonJS export" footer in mapObject.js');
+  }
+
+  const attachmentPattern = /^mapObject\.(\w+) = (\w+);$/gm;
+  const library = source.slice(0, footerStart).trimEnd();
+  const matches = [...library.matchAll(attachmentPattern)];
+
+  return {
+    body: library.replace(attachmentPattern, "").trimEnd(),
+    attachments: matches.map(([line]) => line).join("\n"),
+    exports: matches.map(([, name, local]) => ({ name, local })),
+  };
+}
+
+// ============================================================================
+// Formats
+// ============================================================================
+
+/**
+ * Formats an export list entry, aliasing when the local name differs
+ *
+ * @param {{name: string, local: string}} entry - Attached method
+ * @returns {string}
+ */
+const exportSpecifier = ({ name, local }) => (name === local ? name : `${local} as ${name}`);
+
+const formats = {
+  "mapObject.cjs": ({ body, attachments }) =>
+    [
+      '"use strict";',
+      "",
+      body,
+      "",
+      attachments,
+      "",
+      "module.exports = mapObject;",
+      "module.exports.mapObject = mapObject;",
+      "module.exports.default = mapObject;",
+      "",
+    ].join("\n"),
+
+  // The default export is a new function carrying the methods, instead of attachments on
+  // mapObject, so it is side-effect free and dropped along with the methods when unused
+  "mapObject.mjs": ({ body, exports }) =>
+    [
+      body,
+      "",
+      "const mapObjectWithMethods = /* @__PURE__ */ Object.assign((obj, ...fields) => mapObject(obj, ...fields), {",
+      ...exports.map(({ name, local }) => (name === local ? `  ${name},` : `  ${name}: ${local},`)),
+      "});",
+      "",
+      "export default mapObjectWithMethods;",
+      `export { mapObjectWithMethods as mapObject, ${exports.map(exportSpecifier).join(", ")} };`,
+      "",
+    ].join("\n"),
+
+  "mapObject.umd.js": ({ body, attachments }) =>
+    [
+      "(function (root, factory) {",
+      '  if (typeof define === "function" && define.amd) {',
+      "    define([], factory);",
+      '  } else if (typeof module === "object" && module.exports) {',
+      "    module.exports = factory();",
+      "  } else {",
+      "    root.mapObject = factory();",
+      "  }",
+      '})(typeof self !== "undefined" ? self : this, function () {',
+      '"use strict";',
+      "",
+      body,
+      "",
+      attachments,
+      "",
+      "return mapObject;",
+      "});",
+      "",
+    ].join("\n"),
+
+  "mapObject.d.mts": ({ exports }) => {
+    const declarations = fs.readFileSync(path.join(root, "mapObject.d.ts"), "utf8").replace(/\r\n/g, "\n");
+
+    if (!declarations.includes("export = mapObject;")) {
+      throw new Error('Could not find "export = mapObject;" in mapObject.d.ts');
+    }
+
+    return declarations.replace(
+      "export = mapObject;",
+      [
+        "export default mapObject;",
+        "export { mapObject };",
+        ...exports.map(({ name }) => `export declare const ${name}: typeof mapObject.${name};`),
+      ].join("\n")
+    );
+  },
+};
+
+// ============================================================================
+// Build
+// ============================================================================
+
+const source = readSource();
+
+fs.rmSync(dist, { recursive: true, force: true });
+fs.mkdirSync(dist, { recursive: true });
+
+Object.entries(formats).forEach(([file, format]) => {
+  fs.writeFileSync(path.join(dist, file), format(source));
+  console.log(path.relative(process.cwd(), path.join(dist, file)));
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+const sequelizeModel = { dataValues: {}, get: ({ plain }) => (plain ? { id: 1, name: "s" } : null) };
+const mongooseDoc = { toObject: () => ({ _id: "x", nested: { a: 1 } }) };
+const immutableMap = { "@@__IMMUTABLE_ITERABLE__@@": true, toJS: () => ({ a: 1 }) };
+
+class Money {
+  constructor(cents) {
+    this.cents = cents;
+  }
+}
+
+describe("source adapters", () => {
+  it("normalizes built-in library objects at the root", () => {
+    assert.deepEqual(mapObject(sequelizeModel, "id", "name"), { id: 1, name: "s" });
+    assert.deepEqual(mapObject(mongooseDoc, "_id"), { _id: "x" });
+    assert.deepEqual(mapObject(immutableMap, "a"), { a: 1 });
+  });
+
+  it("normalizes nested instances during traversal", () => {
+    assert.deepEqual(mapObject({ inner: sequelizeModel }, "inner.name"), { inner: { name: "s" } });
+    assert.equal(mapObject.readValue({ inner: mongooseDoc }, "inner.nested.a"), 1);
+  });
+
+  it("applies registered adapters", () => {
+    mapObject.registerAdapter({
+      test: (val) => val instanceof Money,
+      toPlain: (val) => ({ amount: val.cents / 100 }),
+    });
+
+    assert.deepEqual(mapObject({ price: new Money(250) }, "price.amount:price"), { price: 2.5 });
+    assert.equal(mapObject.readValue({ price: new Money(5) }, "price.amount"), 0.05);
+  });
+
+  it("leaves toJSON objects alone until the toJSON adapter is registered", () => {
+    const source = { t: { toJSON: () => ({ v: 1 }) } };
+    assert.deepEqual(mapObject(source, "t.v"), {});
+
+    mapObject.registerAdapter(mapObject.adapters.toJSON);
+    assert.deepEqual(mapObject(source, "t.v"), { t: { v: 1 } });
+  });
+
+  it("rejects malformed adapters", () => {
+    assert.throws(() => mapObject.registerAdapter({ test: () => true }), /test and toPlain functions/);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+const delay = (ms, value) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+mapObject.registerTransform("centreName", async (id) => delay(5, `centre-${id}`));
+mapObject.registerTransform("failLookup", async (id) => {
+  throw new Error(`no centre ${id}`);
+});
+
+describe("async mapping", () => {
+  it("awaits async transforms and computed fields", async () => {
+    const order = { id: 7, centreId: 3, photoKey: "k" };
+    const result = await mapObject.async(order, "id", "centreId|centreName:centre", {
+      photo: async (src) => delay(1, `https://cdn/${src.photoKey}`),
+    });
+
+    assert.deepEqual(result, { id: 7, centre: "centre-3", photo: "https://cdn/k" });
+  });
+
+  it("writes results in spec order regardless of settle order", async () => {
+    const result = await mapObject.async({}, { a: () => delay(10, 1) }, { b: () => delay(1, 2) });
+
+    assert.deepEqual(Object.keys(result), ["a", "b"]);
+  });
+
+  it("matches the synchronous result when nothing is async", async () => {
+    const source = { a: { b: 1 }, tags: ["x", "y"] };
+    const spec = ["a.b:c", "tags.-1:last"];
+
+    assert.deepEqual(await mapObject.async(source, ...spec), mapObject(source, ...spec));
+  });
+
+  it("limits the fields in flight with the concurrency option", async () => {
+    let active = 0;
+    let peak = 0;
+    const track = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(2);
+      active--;
+      return true;
+    };
+
+    await mapObject.withOptions({ concurrency: 2 }).async({}, { a: track, b: track, c: track, d: track });
+
+    assert.equal(peak, 2);
+  });
+
+  it("aggregates failures with the field that caused them", async () => {
+    await assert.rejects(mapObject.async({ centreId: 1, x: 2 }, "centreId|failLookup:centre", "x"), (error) => {
+      assert.ok(error instanceof mapObject.FieldResolutionError);
+      assert.equal(error.errors.length, 1);
+      assert.equal(error.errors[0].spec, "centreId|failLookup:centre");
+      assert.equal(error.errors[0].identifier, "centre");
+      assert.match(error.errors[0].error.message, /no centre 1/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const vm = require("vm");
+
+const root = path.join(__dirname, "..");
+
+describe("build", () => {
+  let dist;
+
+  // Build into a temporary directory, so running the tests leaves dist/ alone
+  before(() => {
+    dist = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "map-object-build-")), "dist");
+    execFileSync(process.execPath, [path.join(root, "scripts", "build.js"), dist], { cwd: root, stdio: "pipe" });
+  });
+
+  after(() => {
+    fs.rmSync(path.dirname(dist), { recursive: true, force: true });
+  });
+
+  it("emits a CommonJS bundle with the methods attached", () => {
+    const mapObject = require(path.join(dist, "mapObject.cjs"));
+
+    assert.equal(mapObject.mapObject, mapObject);
+    assert.equal(mapObject.default, mapObject);
+    assert.deepEqual(mapObject({ a: { b: 1 } }, "a.b:c"), { c: 1 });
+    assert.equal(mapObject.readValue({ a: [1, 2] }, "a.-1"), 2);
+  });
+
+  it("emits an ES module with a default export and named exports", async () => {
+    const esm = await import(path.join(dist, "mapObject.mjs"));
+
+    assert.equal(esm.mapObject, esm.default);
+    assert.equal(esm.readValue({ a: [1, 2] }, "a.-1"), 2);
+    assert.deepEqual(esm.writeValue({}, "a.b", 1), { a: { b: 1 } });
+    assert.deepEqual(esm.default({ a: 1 }, "a:b"), { b: 1 });
+
+    for (const name of ["readValue", "writeValue", "resolveMap", "resolveMapArray"]) {
+      assert.equal(typeof esm[name], "function", name);
+      assert.equal(esm.default[name], esm[name], name);
+    }
+  });
+
+  it("emits standalone named exports instead of attaching them to mapObject", () => {
+    const source = fs.readFileSync(path.join(dist, "mapObject.mjs"), "utf8");
+
+    assert.doesNotMatch(source, /^mapObject\.\w+ = /m);
+    assert.match(source, /^const mapObjectWithMethods = \/\* @__PURE__ \*\/ Object\.assign\(/m);
+  });
+
+  it("skips array items that are not containers in strict-mode bundles", async () => {
+    const esm = await import(path.join(dist, "mapObject.mjs"));
+    const bundles = [require(path.join(dist, "mapObject.cjs")), esm.default];
+
+    bundles.forEach((bundle) => {
+      assert.deepEqual(bundle.writeValue({ a: [1, {}] }, "a.[x]", 2), { a: [1, { x: 2 }] });
+      assert.deepEqual(bundle({ a: [1, { x: 1 }] }, "a:b", "a.[x]:b.[x]"), { b: [1, { x: [undefined, 1] }] });
+    });
+  });
+
+  it("emits a UMD bundle that sets a browser global", () => {
+    const sandbox = { self: {} };
+    vm.runInNewContext(fs.readFileSync(path.join(dist, "mapObject.umd.js"), "utf8"), sandbox);
+
+    assert.equal(typeof sandbox.self.mapObject, "function");
+    assert.equal(sandbox.self.mapObject.readValue({ a: [1, 2] }, "a.-1"), 2);
+  });
+
+  it("emits ES module declarations with named exports", () => {
+    const declarations = fs.readFileSync(path.join(dist, "mapObject.d.mts"), "utf8");
+
+    assert.match(declarations, /^export default mapObject;$/m);
+    assert.match(declarations, /^export declare const readValue: typeof mapObject\.readValue;$/m);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn, spawnSync } = require("child_process");
+const { once } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const bin = path.join(__dirname, "..", "bin", "map-object.js");
+
+/**
+ * Runs the CLI with the given arguments and stdin
+ */
+const cli = (args, input) => spawnSync(process.execPath, [bin, ...args], { input, encoding: "utf8" });
+
+describe("map-object CLI", () => {
+  let dir;
+  const file = (name) => path.join(dir, name);
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "map-object-"));
+    fs.writeFileSync(file("users.json"), '[{"id":1,"profile":{"name":"a"}},{"id":2,"profile":{"name":"b"}}]');
+    fs.writeFileSync(file("export.json"), '{"users":[{"email":"a"},{"email":"b"}]}');
+    fs.writeFileSync(file("users.ndjson"), '{"id":1,"email":"e"}\nbad\n{"id":3}\n');
+    fs.writeFileSync(file("user.spec"), "# response\nid\nprofile.name:name\n");
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("maps every record of a JSON array with specs given as arguments", () => {
+    const { stdout, status } = cli(["id", "profile.name:name", "--", file("users.json")]);
+
+    assert.equal(status, 0);
+    assert.deepEqual(JSON.parse(stdout), [
+      { id: 1, name: "a" },
+      { id: 2, name: "b" },
+    ]);
+  });
+
+  it("reads specs from a file", () => {
+    const { stdout } = cli(["-f", file("user.spec"), file("users.json")]);
+
+    assert.deepEqual(JSON.parse(stdout), [
+      { id: 1, name: "a" },
+      { id: 2, name: "b" },
+    ]);
+  });
+
+  it("reads a single path with get", () => {
+    assert.deepEqual(JSON.parse(cli(["get", "users.[email]", file("export.json")]).stdout), ["a", "b"]);
+  });
+
+  it("reads stdin, treats exclusions as specs and pretty-prints", () => {
+    const { stdout } = cli(["--pretty", "*", "-email"], '{"id":1,"email":"x"}');
+
+    assert.equal(stdout, '{\n  "id": 1\n}\n');
+  });
+
+  it("reports bad NDJSON records and missing strict fields on stderr", () => {
+    const { stdout, stderr, status } = cli(["--ndjson", "--strict", "id", "email", "--", file("users.ndjson")]);
+
+    assert.equal(status, 1);
+    assert.equal(stdout, '{"id":1,"email":"e"}\n');
+    assert.match(stderr, /users\.ndjson:2: /);
+    assert.match(stderr, /users\.ndjson:3: Missing 1 required field:/);
+  });
+
+  it("exits with 2 for invalid specs and options", () => {
+    const badSpec = cli(["a,,b", "--", file("users.json")]);
+    const badOption = cli(["--bogus"]);
+
+    assert.equal(badSpec.status, 2);
+    assert.match(badSpec.stderr, /^map-object: /);
+    assert.equal(badOption.status, 2);
+    assert.match(badOption.stderr, /Unknown option --bogus/);
+  });
+
+  it("warns when a spec names an existing file", () => {
+    const { stdout, stderr } = cli(["id", file("users.json")], '{"id":1}');
+
+    assert.equal(stdout, '{"id":1}\n');
+    assert.match(stderr, /^map-object: warning: ".*users\.json" is read as a spec/);
+  });
+
+  it("stops quietly when stdout is closed by its reader", async () => {
+    fs.writeFileSync(file("big.ndjson"), '{"id":1}\n'.repeat(100000));
+    const child = spawn(process.execPath, [bin, "--ndjson", "id", "--", file("big.ndjson")]);
+    let stderr = "";
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.stdout.once("data", () => child.stdout.destroy());
+
+    const [status] = await once(child, "close");
+
+    assert.equal(stderr, "");
+    assert.equal(status, 0);
+  });
+});
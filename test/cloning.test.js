@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+class Point {
+  constructor(x) {
+    this.x = x;
+  }
+}
+
+describe("type-preserving cloning", () => {
+  it("preserves Dates, BigInts, Maps, Sets, typed arrays and class instances", () => {
+    const source = {
+      createdAt: new Date(0),
+      big: 10n,
+      map: new Map([["a", { b: 1 }]]),
+      set: new Set([1]),
+      bytes: new Uint8Array([1, 2]),
+      point: new Point(3),
+    };
+    const result = mapObject(source, "createdAt", "big", "map", "set", "bytes", "point");
+
+    assert.ok(result.createdAt instanceof Date);
+    assert.equal(result.createdAt.getTime(), 0);
+    assert.equal(result.big, 10n);
+    assert.deepEqual(result.map, new Map([["a", { b: 1 }]]));
+    assert.deepEqual(result.set, new Set([1]));
+    assert.deepEqual(result.bytes, new Uint8Array([1, 2]));
+    assert.ok(result.point instanceof Point);
+  });
+
+  it("passes class instances with internal state through by reference", () => {
+    class Secret {
+      #x = 1;
+      get x() {
+        return this.#x;
+      }
+    }
+    const source = { u: new URL("http://x/"), secret: new Secret() };
+    const result = mapObject(source, "u", "secret");
+
+    assert.equal(result.u, source.u);
+    assert.equal(JSON.stringify(result), '{"u":"http://x/","secret":{}}');
+    assert.equal(result.secret.x, 1);
+  });
+
+  it("never shares state with the source", () => {
+    const source = { map: new Map([["a", { b: 1 }]]) };
+    const result = mapObject(source, "map");
+
+    assert.notEqual(result.map.get("a"), source.map.get("a"));
+  });
+
+  it("handles circular references", () => {
+    const source = { a: 1 };
+    source.self = source;
+    const result = mapObject(source, "self");
+
+    assert.equal(result.self.self, result.self);
+  });
+
+  it("keeps the JSON round-trip semantics with clone: 'json'", () => {
+    const mapJson = mapObject.withOptions({ clone: "json" });
+    const expected = { createdAt: "1970-01-01T00:00:00.000Z" };
+
+    assert.deepEqual(mapJson({ createdAt: new Date(0) }, "createdAt"), expected);
+    assert.deepEqual(mapJson.compile("createdAt")({ createdAt: new Date(0) }), expected);
+  });
+
+  it("rejects unknown clone modes", () => {
+    assert.throws(() => mapObject.withOptions({ clone: "shallow" }), /Clone mode must be "deep" or "json"/);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+describe("compile", () => {
+  const user = {
+    uid: "u1",
+    email: " A@B.C ",
+    photo: [{ url: "old.png" }, { url: "new.png" }],
+    profile: { name: "Alice", gender: "f" },
+    status: "active",
+  };
+  const fields = ["uid:id,email|trim|lower,photo.-1.url:photo", ["profile.", "name", "gender"], "status??='new'"];
+
+  it("produces the same output as mapObject", () => {
+    const toResponse = mapObject.compile(...fields);
+
+    assert.deepEqual(toResponse(user), mapObject(user, ...fields));
+    assert.deepEqual(toResponse({}), mapObject({}, ...fields));
+  });
+
+  it("can be reused across objects", () => {
+    const pickName = mapObject.compile("profile.name:name");
+
+    assert.deepEqual(pickName(user), { name: "Alice" });
+    assert.deepEqual(pickName({ profile: { name: "Bob" } }), { name: "Bob" });
+  });
+
+  it("does not share state between calls", () => {
+    const toTags = mapObject.compile("tag:tags.[]");
+
+    assert.deepEqual(toTags({ tag: "a" }), { tags: ["a"] });
+    assert.deepEqual(toTags({ tag: "b" }), { tags: ["b"] });
+  });
+
+  it("throws spec errors at compile time", () => {
+    assert.throws(() => mapObject.compile("email|unknownTransform"), /unknownTransform/);
+  });
+});
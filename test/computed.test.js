@@ -0,0 +1,35 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+const user = { id: 1, firstName: "Alice", lastName: "Smith", address: { line1: "1 Rue X", city: "Paris" } };
+
+describe("computed fields", () => {
+  it("writes function results to their target paths", () => {
+    const result = mapObject(user, "id", {
+      fullName: (src) => `${src.firstName} ${src.lastName}`,
+      "meta.initials": (src) => src.firstName[0] + src.lastName[0],
+    });
+
+    assert.deepEqual(result, { id: 1, fullName: "Alice Smith", meta: { initials: "AS" } });
+  });
+
+  it("receives the mapper-scoped source and writes under the write prefix", () => {
+    const result = mapObject(user, [":address.", "city", { label: (address) => `${address.line1}, ${address.city}` }]);
+
+    assert.deepEqual(result, { address: { city: "Paris", label: "1 Rue X, Paris" } });
+  });
+
+  it("skips undefined results, including in strict mode", () => {
+    assert.deepEqual(mapObject(user, { nothing: () => undefined }), {});
+    assert.deepEqual(mapObject.strict(user, { nothing: () => undefined }), {});
+  });
+
+  it("rejects non-function values", () => {
+    assert.throws(() => mapObject(user, { a: 1 }), /Computed field "a" must be a function, received: number/);
+  });
+
+  it("cannot be inverted", () => {
+    assert.deepEqual(mapObject.invert({ a: () => 1 }).issues, [{ map: "a", reason: "computed field" }]);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+describe("conditional fields", () => {
+  it("maps a field only when its condition holds", () => {
+    const spec = "kyc.status:kycStatus @if ekycRequested";
+
+    assert.deepEqual(mapObject({ ekycRequested: true, kyc: { status: "ok" } }, spec), { kycStatus: "ok" });
+    assert.deepEqual(mapObject({ ekycRequested: false, kyc: { status: "ok" } }, spec), {});
+  });
+
+  it("gates the rest of a group", () => {
+    const spec = [
+      [":business", "@if type='company'", "name", "vatNumber"],
+      [":person", "@if type!='company'", "firstName", "lastName"],
+    ];
+    const account = { type: "company", name: "B", vatNumber: "V", firstName: "F", lastName: "L" };
+
+    assert.deepEqual(mapObject(account, ...spec), { business: { name: "B", vatNumber: "V" } });
+    assert.deepEqual(mapObject({ ...account, type: "person" }, ...spec), {
+      person: { firstName: "F", lastName: "L" },
+    });
+  });
+
+  it("reads conditions from the root source inside mapper prefixes", () => {
+    const spec = ["business:out.", "@if type='company'", "name", "vat @if vatRegistered"];
+    const source = { type: "company", vatRegistered: true, business: { name: "x", vat: "v" } };
+
+    assert.deepEqual(mapObject(source, spec), { out: { name: "x", vat: "v" } });
+    assert.deepEqual(mapObject({ ...source, vatRegistered: false }, spec), { out: { name: "x" } });
+    assert.deepEqual(mapObject({ ...source, type: "person" }, spec), {});
+  });
+
+  it("skips root-gated groups in strict mode", () => {
+    const spec = ["business.", "@if type='company'", "y"];
+
+    assert.deepEqual(mapObject.strict({ type: "person", business: {} }, spec), {});
+    assert.throws(() => mapObject.strict({ type: "company", business: {} }, spec), /business\.y is undefined/);
+  });
+
+  it("supports negation, comparisons and membership", () => {
+    const source = { age: 20, role: "a", x: 1 };
+
+    assert.deepEqual(mapObject(source, "x:a @if !missing", "x:b @if !age"), { a: 1 });
+    assert.deepEqual(mapObject(source, "x:a @if age>=18", "x:b @if role in ('a','b')", "x:c @if age<18"), {
+      a: 1,
+      b: 1,
+    });
+  });
+
+  it("applies to exclusions", () => {
+    const source = { isAdmin: false, email: "e", id: 1 };
+
+    assert.deepEqual(mapObject(source, "*", "-email @if !isAdmin"), { isAdmin: false, id: 1 });
+    assert.deepEqual(mapObject({ ...source, isAdmin: true }, "*", "-email @if !isAdmin"), {
+      ...source,
+      isAdmin: true,
+    });
+  });
+
+  it("does not report skipped fields in strict mode", () => {
+    assert.deepEqual(mapObject.strict({ enabled: false }, "missing:x @if enabled"), {});
+  });
+
+  it("reports malformed conditions", () => {
+    assert.match(mapObject.validate("a @if")[0].message, /Invalid condition "@if"/);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+const doc = {
+  id: 1,
+  user: { id: 2, email: "u@x", tags: [{ id: 3, email: "t@x" }] },
+  items: [
+    { id: 4, name: "x" },
+    { id: 5, name: "y" },
+  ],
+};
+
+describe("recursive descent", () => {
+  it("collects matches at any depth in document order", () => {
+    assert.deepEqual(mapObject.readValue(doc, "**.email"), ["u@x", "t@x"]);
+    assert.deepEqual(mapObject.readValue(doc, "**.id"), [1, 2, 3, 4, 5]);
+  });
+
+  it("honours a depth cap", () => {
+    assert.deepEqual(mapObject.readValue(doc, "**{1}.id"), [1, 2]);
+    assert.deepEqual(mapObject.readValue(doc, "**{2}.id"), [1, 2, 4, 5]);
+  });
+
+  it("composes with negative indices and projections", () => {
+    assert.deepEqual(mapObject.readValue(doc, "**.items.-1.name"), ["y"]);
+    assert.deepEqual(mapObject.readValue(doc, "**.items.[name]"), [["x", "y"]]);
+  });
+
+  it("returns an empty array when nothing matches", () => {
+    assert.deepEqual(mapObject.readValue(doc, "**.missing"), []);
+  });
+
+  it("works in map strings", () => {
+    assert.deepEqual(mapObject(doc, "**.email:emails"), { emails: ["u@x", "t@x"] });
+  });
+});
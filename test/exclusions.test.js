@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+const createSource = () => ({
+  id: 1,
+  password: "p",
+  internal: { a: 1, b: 2 },
+  users: [
+    { name: "a", passwordHash: "h" },
+    { name: "b", passwordHash: "i" },
+  ],
+  user: { name: "n", secret: "s" },
+});
+
+describe("exclusions", () => {
+  it("removes top-level and nested paths from a wildcard copy", () => {
+    assert.deepEqual(mapObject(createSource(), "*", "-password", "-internal.a", "-users", "-user"), {
+      id: 1,
+      internal: { b: 2 },
+    });
+  });
+
+  it("removes a property from every array element", () => {
+    const result = mapObject(createSource(), "*", "-users.[passwordHash]");
+
+    assert.deepEqual(result.users, [{ name: "a" }, { name: "b" }]);
+  });
+
+  it("applies within mapper prefixes", () => {
+    assert.deepEqual(mapObject(createSource(), ["user.", "*", "-secret"]), { name: "n" });
+  });
+
+  it("does not modify the source", () => {
+    const source = createSource();
+    mapObject(source, "*", "-password");
+
+    assert.equal(source.password, "p");
+  });
+
+  it("parses into exclusion nodes", () => {
+    const item = mapObject.parse("-password").items[0];
+
+    assert.equal(item.type, "exclusion");
+    assert.deepEqual(item.path.segments, [{ type: "key", key: "password" }]);
+  });
+
+  it("reports empty exclusions", () => {
+    assert.deepEqual(mapObject.validate("-"), [{ spec: "-", offset: 1, message: "Empty path" }]);
+    assert.throws(() => mapObject(createSource(), "-"), /Path cannot be an empty string/);
+  });
+
+  it("drops containers an exclusion leaves empty", () => {
+    const source = { ...createSource(), empty: {}, tags: [] };
+
+    assert.deepEqual(mapObject(source, "*", "-password", "-internal.*", "-users", "-user.name", "-user.secret"), {
+      id: 1,
+      empty: {},
+      tags: [],
+    });
+    assert.deepEqual(mapObject(createSource(), "*", "-users.[name]", "-users.[passwordHash]").users, [{}, {}]);
+  });
+
+  it("rejects targets, transforms, fallbacks and optional markers", () => {
+    ["-password?", "-password|trim", "-password:x", "-password??id"].forEach((spec) => {
+      assert.throws(() => mapObject(createSource(), spec), /Exclusion must be a plain path/);
+      assert.match(mapObject.validate(spec)[0].message, /Exclusion must be a plain path/);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+describe("fallbacks and defaults", () => {
+  it("uses the first alternative that has a value", () => {
+    const spec = "nickname??profile.name??username:displayName";
+
+    assert.deepEqual(mapObject({ nickname: "Al", profile: { name: "Alice" } }, spec), { displayName: "Al" });
+    assert.deepEqual(mapObject({ profile: { name: "Alice" }, username: "alice" }, spec), { displayName: "Alice" });
+    assert.deepEqual(mapObject({ username: "alice" }, spec), { displayName: "alice" });
+    assert.deepEqual(mapObject({}, spec), {});
+  });
+
+  it("keeps an explicit null instead of falling back", () => {
+    const spec = "nickname??username:name";
+
+    assert.deepEqual(mapObject.resolveMap({ nickname: null, username: "alice" }, spec), {
+      identifier: "name",
+      value: null,
+    });
+    assert.equal(mapObject.resolveMap({ nickname: null }, "nickname??='anon':name").value, null);
+    assert.deepEqual(mapObject.toUpdate({ nickname: null, username: "alice" }, spec), { $unset: { name: "" } });
+  });
+
+  it("falls back to literal defaults", () => {
+    assert.deepEqual(mapObject({}, "status??='pending'", "retries??=0", "active??=true"), {
+      status: "pending",
+      retries: 0,
+      active: true,
+    });
+    assert.deepEqual(mapObject({ status: "done" }, "status??='pending'"), { status: "done" });
+  });
+
+  it("names the output after the first path when there is no target", () => {
+    assert.deepEqual(mapObject({ b: 1 }, "a??b"), { a: 1 });
+  });
+
+  it("works in grouped specs", () => {
+    assert.deepEqual(mapObject({ user: { b: 2 } }, ["user.", "a??b:x", "c??='none':y"]), { x: 2, y: "none" });
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+const createSource = () => ({
+  users: [
+    { name: "a", active: true, age: 30, email: "a@x" },
+    { name: "b", active: false, age: 20, email: "b@x" },
+    { name: "c", active: true, age: 40, email: "c@x", role: "owner" },
+  ],
+  addresses: [
+    { type: "work", line1: "W" },
+    { type: "home", line1: "H1" },
+    { type: "home", line1: "H2" },
+  ],
+});
+
+describe("filter predicates", () => {
+  it("reads the matching elements", () => {
+    assert.deepEqual(mapObject.readValue(createSource(), "users.[?active=true].email"), ["a@x", "c@x"]);
+  });
+
+  it("indexes into the filtered elements", () => {
+    assert.equal(mapObject.readValue(createSource(), "addresses.[?type='home'].0.line1"), "H1");
+  });
+
+  it("supports comparison, inequality, membership and presence", () => {
+    const source = createSource();
+    assert.deepEqual(mapObject.readValue(source, "users.[?age>25].name"), ["a", "c"]);
+    assert.deepEqual(mapObject.readValue(source, "users.[?age<25].name"), ["b"]);
+    assert.deepEqual(mapObject.readValue(source, "users.[?name!='a'].name"), ["b", "c"]);
+    assert.deepEqual(mapObject.readValue(source, "users.[?name in ('a','b')].age"), [30, 20]);
+    assert.deepEqual(mapObject.readValue(source, "users.[?role].name"), ["c"]);
+  });
+
+  it("works in map strings", () => {
+    assert.deepEqual(mapObject(createSource(), "users.[?active=true].email:emails"), { emails: ["a@x", "c@x"] });
+  });
+
+  it("updates only the matching elements on write", () => {
+    const source = createSource();
+    mapObject.writeValue(source, "users.[?active=true].verified", true);
+    assert.deepEqual(
+      source.users.map((user) => user.verified),
+      [true, undefined, true]
+    );
+  });
+
+  it("reports malformed predicates", () => {
+    assert.throws(() => mapObject.readValue(createSource(), "users.[?]"), /Invalid predicate "\[\?\]"/);
+    assert.throws(() => mapObject.readValue(createSource(), "users.[?name=]"), /missing value after "="/);
+  });
+
+  it("rejects unquoted values that start with an operator character", () => {
+    assert.throws(() => mapObject.readValue(createSource(), "users.[?age==18]"), /unexpected "=" at the start/);
+    assert.throws(() => mapObject.readValue(createSource(), "users.[?age=<18]"), /unexpected "<" at the start/);
+    const source = { users: [{ op: "=18" }, { op: "18" }] };
+    assert.deepEqual(mapObject.readValue(source, "users.[?op='=18']"), [{ op: "=18" }]);
+  });
+
+  it("writes a '*' field under the mapper's write prefix", () => {
+    assert.deepEqual(mapObject({ user: { a: 1, b: 2 } }, [":account", "*"]), { account: { user: { a: 1, b: 2 } } });
+  });
+});
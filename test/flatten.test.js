@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+describe("flatten", () => {
+  it("turns nested objects and arrays into path keys, quoting ambiguous keys", () => {
+    assert.deepEqual(mapObject.flatten({ address: { geo: { lat: 1.5 } }, tags: ["a", "b"], "x.y": true, 0: 1 }), {
+      "['0']": 1,
+      "address.geo.lat": 1.5,
+      "tags.0": "a",
+      "tags.1": "b",
+      "['x.y']": true,
+    });
+  });
+
+  it("keeps empty containers and non-plain objects as values", () => {
+    const date = new Date(0);
+
+    assert.deepEqual(mapObject.flatten({ a: {}, b: [], d: date }), { a: {}, b: [], d: date });
+  });
+
+  it("honours the arrays and maxDepth options", () => {
+    assert.deepEqual(mapObject.flatten({ t: [1, 2], n: { a: { b: 1 } } }, { arrays: false, maxDepth: 2 }), {
+      t: [1, 2],
+      "n.a": { b: 1 },
+    });
+  });
+
+  it("rejects invalid input and options", () => {
+    assert.throws(() => mapObject.flatten(1), /Only objects and arrays can be flattened, received: number/);
+    assert.throws(() => mapObject.flatten({}, { maxDepth: -1 }), /Max depth must be a positive integer or Infinity/);
+  });
+});
+
+describe("unflatten", () => {
+  it("rebuilds objects and arrays from path keys", () => {
+    assert.deepEqual(mapObject.unflatten({ "address.geo.lat": 1.5, "tags.0": "a", "tags.[]": "b" }), {
+      address: { geo: { lat: 1.5 } },
+      tags: ["a", "b"],
+    });
+  });
+
+  it("round-trips flatten", () => {
+    const obj = { a: {}, b: [], nested: { x: { y: { z: 1 } } }, arr: [[1], { k: 2 }], "first name": "n", 0: "zero" };
+
+    assert.deepEqual(mapObject.unflatten(mapObject.flatten(obj)), obj);
+  });
+
+  it("keeps null values", () => {
+    const obj = { a: null, b: 1, c: { d: null }, e: [null, 2] };
+
+    assert.deepEqual(mapObject.unflatten(mapObject.flatten(obj)), obj);
+    assert.deepEqual(mapObject.unflatten({ "tags.[]": null }), { tags: [null] });
+  });
+});
+
+describe("flatten option", () => {
+  it("flattens mapObject results", () => {
+    assert.deepEqual(
+      mapObject.withOptions({ flatten: true })({ name: "Ann", tags: ["admin"] }, ":profile::name", "tags"),
+      {
+        "profile.name": "Ann",
+        "tags.0": "admin",
+      }
+    );
+    assert.deepEqual(mapObject.withOptions({ flatten: { arrays: false } })({ tags: ["admin"] }, "tags"), {
+      tags: ["admin"],
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+describe("invert", () => {
+  it("reverses renames and write prefixes", () => {
+    const { fields, issues } = mapObject.invert("profile.name:fullName", ":address::line1,line2");
+
+    assert.deepEqual(fields, ["fullName:profile.name", "address.line1:line1", "address.line2:line2"]);
+    assert.deepEqual(issues, []);
+  });
+
+  it("reverses read prefixes", () => {
+    assert.deepEqual(mapObject.invert(["user.", "name:fullName"]).fields, ["fullName:user.name"]);
+  });
+
+  it("round-trips the mapped output back to the source shape", () => {
+    const spec = ["profile.name:fullName", ":address::line1,line2", "id"];
+    const doc = { id: 1, profile: { name: "Alice" }, line1: "Main St", line2: "Apt 4" };
+    const response = mapObject(doc, ...spec);
+
+    assert.deepEqual(mapObject(response, ...mapObject.invert(...spec).fields), doc);
+  });
+
+  it("reports fields that cannot be reversed", () => {
+    const { fields, issues } = mapObject.invert(
+      "users.[name]:names",
+      "photo.-1.url:photo",
+      "email|lower",
+      "nickname??name:display",
+      "tag:tags.[]",
+      "*"
+    );
+
+    assert.deepEqual(fields, []);
+    assert.deepEqual(
+      issues.map(({ reason }) => reason),
+      ["array projection", "negative index", "transform", "fallback", "array push", "wildcard"]
+    );
+  });
+
+  it("reports fields under a mapper read path that cannot be reversed", () => {
+    assert.deepEqual(mapObject.invert(["photos.-1.", "url:photo"]), {
+      fields: [],
+      issues: [{ map: "url:photo", reason: "negative index" }],
+    });
+    assert.deepEqual(mapObject.invert(["photos.-1.", ["meta.", "size"]]).issues, [
+      { map: "size", reason: "negative index" },
+    ]);
+  });
+});
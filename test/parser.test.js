@@ -0,0 +1,49 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+describe("parse", () => {
+  it("produces a group with the mapper prefix and fields", () => {
+    const ast = mapObject.parse(":contact::email|trim,phone");
+
+    assert.equal(ast.type, "group");
+    assert.equal(ast.mapper.readPath, null);
+    assert.deepEqual(ast.mapper.writePath.segments, [{ type: "key", key: "contact" }]);
+    assert.deepEqual(
+      ast.items.map((item) => item.raw),
+      ["email|trim", "phone"]
+    );
+    assert.deepEqual(ast.items[0].transforms, [{ type: "transform", name: "trim", args: [], offset: 16 }]);
+    assert.equal(ast.items[1].offset, 21);
+  });
+
+  it("parses read prefixes from the array form", () => {
+    assert.equal(mapObject.parse(["user.", "name"]).mapper.readPath.raw, "user");
+  });
+
+  it("returns a group without mapper for plain fields", () => {
+    const ast = mapObject.parse("a:b,c");
+
+    assert.equal(ast.mapper, null);
+    assert.equal(ast.items.length, 2);
+  });
+});
+
+describe("print", () => {
+  it("round-trips specs", () => {
+    for (const spec of [":contact::email|trim,phone", "profile.name:fullName", "tags.[]:list", "a??b:c", "x??=1:y"]) {
+      assert.equal(mapObject.print(mapObject.parse(spec)), spec);
+    }
+  });
+
+  it("prints the array form as a grouped string", () => {
+    assert.equal(mapObject.print(mapObject.parse(["user.", "name:n"])), "user.::name:n");
+  });
+
+  it("prints edited segments", () => {
+    const ast = mapObject.parse("a:b");
+    ast.items[0].target.segments = [{ type: "key", key: "zz" }];
+
+    assert.equal(mapObject.print(ast), "a:zz");
+  });
+});
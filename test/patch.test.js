@@ -0,0 +1,104 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+const createUser = () => ({
+  name: "Ann",
+  tags: ["a"],
+  password: "x",
+  items: [{ status: "a" }, { status: "b" }],
+});
+
+describe("patch", () => {
+  it("lists replace, add and remove operations without changing the target", () => {
+    const user = createUser();
+
+    assert.deepEqual(mapObject.patch(user, { name: "Anna", tag: "b" }, "name", "tag:tags.[]", "-password"), [
+      { op: "replace", path: "/name", value: "Anna" },
+      { op: "add", path: "/tags/-", value: "b" },
+      { op: "remove", path: "/password" },
+    ]);
+    assert.deepEqual(user, createUser());
+  });
+
+  it("skips unchanged values and adds missing containers whole", () => {
+    assert.deepEqual(mapObject.patch(createUser(), { name: "Ann" }, "name"), []);
+    assert.deepEqual(mapObject.patch(createUser(), { x: 1 }, "x:a.b.c"), [
+      { op: "add", path: "/a", value: { b: { c: 1 } } },
+    ]);
+  });
+
+  it("expands projections per item and removes null values", () => {
+    assert.deepEqual(mapObject.patch(createUser(), { st: "c", nick: null }, "st:items.[status]", "nick:name"), [
+      { op: "replace", path: "/items/0/status", value: "c" },
+      { op: "replace", path: "/items/1/status", value: "c" },
+      { op: "remove", path: "/name" },
+    ]);
+  });
+
+  it("throws for paths without a pointer equivalent", () => {
+    assert.throws(
+      () => mapObject.patch(createUser(), {}, "-**.x"),
+      /Path segment "\*\*" cannot be removed by a patch/
+    );
+  });
+});
+
+describe("applyPatch", () => {
+  it("applies the operations from patch", () => {
+    const user = createUser();
+    const form = { name: "Anna", tag: "b" };
+
+    assert.equal(mapObject.applyPatch(user, mapObject.patch(user, form, "name", "tag:tags.[]")), user);
+    assert.deepEqual(user, { ...createUser(), name: "Anna", tags: ["a", "b"] });
+  });
+
+  it("supports move, copy and test", () => {
+    const doc = { a: { b: 1 }, c: [1, 2] };
+    const operations = [
+      { op: "move", from: "/a/b", path: "/x" },
+      { op: "copy", from: "/c/0", path: "/c/-" },
+      { op: "test", path: "/x", value: 1 },
+      { op: "remove", path: "/c/0" },
+    ];
+
+    assert.deepEqual(mapObject.applyPatch(doc, operations), { a: {}, c: [2, 1], x: 1 });
+  });
+
+  it("throws a PatchError for operations that cannot be applied", () => {
+    const operation = { op: "test", path: "/a", value: 2 };
+
+    assert.throws(
+      () => mapObject.applyPatch({ a: 1 }, [operation]),
+      (error) => {
+        assert.ok(error instanceof mapObject.PatchError);
+        assert.equal(error.message, "Patch operation 0 (test /a) failed: value at /a does not match");
+        assert.equal(error.index, 0);
+        assert.deepEqual(error.operation, operation);
+        return true;
+      }
+    );
+    assert.throws(() => mapObject.applyPatch({ a: 1 }, [{ op: "remove", path: "/b" }]), /path \/b does not exist/);
+  });
+
+  it("rejects malformed operations before applying them", () => {
+    const reasons = (operation) => {
+      try {
+        mapObject.applyPatch({ a: 1 }, [operation]);
+      } catch (error) {
+        assert.ok(error instanceof mapObject.PatchError);
+        assert.equal(error.operation, operation);
+        return error.message;
+      }
+      return assert.fail("expected a PatchError");
+    };
+
+    assert.equal(reasons(5), "Patch operation 0 failed: operation must be an object, received: number");
+    assert.equal(reasons(null), "Patch operation 0 failed: operation must be an object, received: null");
+    assert.match(reasons({ op: "add", path: "/b" }), /"add" operation needs a "value" member/);
+    assert.match(reasons({ op: "replace", path: "/a" }), /"replace" operation needs a "value" member/);
+    assert.match(reasons({ op: "copy", path: "/b" }), /"copy" operation needs a "from" member/);
+    assert.match(reasons({ op: "merge", path: "/a" }), /unknown operation "merge"/);
+    assert.deepEqual(mapObject.applyPatch({ a: 1 }, [{ op: "replace", path: "/a", value: null }]), { a: null });
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+const source = { "first name": "Ann", "content-type.v2": "json", "a:b": 1, ключ: "v", list: { "x,y": 2 } };
+
+describe("quoted and escaped keys", () => {
+  it("reads quoted keys containing spaces, dots and colons", () => {
+    assert.equal(mapObject.readValue(source, "['first name']"), "Ann");
+    assert.equal(mapObject.readValue(source, "['content-type.v2']"), "json");
+    assert.equal(mapObject.readValue(source, "['a:b']"), 1);
+  });
+
+  it("reads backslash-escaped and unicode keys", () => {
+    assert.equal(mapObject.readValue(source, "first\\ name"), "Ann");
+    assert.equal(mapObject.readValue(source, "ключ"), "v");
+  });
+
+  it("keeps quoted separators intact in map strings", () => {
+    assert.deepEqual(mapObject(source, "['first name']:name,['a:b']:ab,list.['x,y']:xy"), {
+      name: "Ann",
+      ab: 1,
+      xy: 2,
+    });
+  });
+
+  it("writes quoted keys", () => {
+    assert.deepEqual(mapObject({ n: 1 }, "n:['out put'].['a.b']"), { "out put": { "a.b": 1 } });
+    assert.deepEqual(mapObject.writeValue({}, "['a.b'].c", 1), { "a.b": { c: 1 } });
+  });
+
+  it("accepts unicode mapper prefixes", () => {
+    assert.deepEqual(mapObject({ ключ: { x: "v" } }, ["ключ.", "x"]), { x: "v" });
+  });
+
+  it("accepts quoted mapper read paths", () => {
+    assert.deepEqual(mapObject({ "con.v2": { y: 2 } }, ["['con.v2'].", "y"]), { y: 2 });
+    assert.deepEqual(mapObject({ "a:b": { c: 1 } }, ["['a:b']:out.", "c"]), { out: { c: 1 } });
+  });
+
+  it("accepts quoted mapper write paths in grouped strings", () => {
+    assert.deepEqual(mapObject({ "first name": "A" }, ":['out put']::['first name']"), {
+      "out put": { "first name": "A" },
+    });
+  });
+
+  it("accepts escaped mapper paths", () => {
+    assert.deepEqual(mapObject({ "a.b": { c: 1 } }, ["a\\.b.", "c"]), { c: 1 });
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+const createState = () => ({
+  todos: [
+    { id: 1, done: true },
+    { id: 2, done: false },
+  ],
+  user: { name: "a" },
+  list: [1, 2],
+});
+
+describe("setIn", () => {
+  it("copies only the containers along the path", () => {
+    const state = createState();
+    const next = mapObject.setIn(state, "todos.[?done].archived", true);
+
+    assert.deepEqual(next.todos, [
+      { id: 1, done: true, archived: true },
+      { id: 2, done: false },
+    ]);
+    assert.equal(next.todos[1], state.todos[1]);
+    assert.equal(next.user, state.user);
+    assert.deepEqual(state, createState());
+  });
+
+  it("supports pushes, negative indices and projections", () => {
+    const state = createState();
+
+    assert.deepEqual(mapObject.setIn(state, "list.[]", 3).list, [1, 2, 3]);
+    assert.deepEqual(mapObject.setIn(state, "list.-1", 9).list, [1, 9]);
+    assert.deepEqual(
+      mapObject.setIn(state, "todos.[id]", 0).todos.map((todo) => todo.id),
+      [0, 0]
+    );
+    assert.deepEqual(state, createState());
+  });
+
+  it("creates missing containers like writeValue", () => {
+    assert.deepEqual(mapObject.setIn({}, "a.0.b", 1), { a: [{ b: 1 }] });
+  });
+
+  it("returns the original object when nothing changes", () => {
+    const state = createState();
+
+    assert.equal(mapObject.setIn(state, "user.name", "a"), state);
+    assert.equal(mapObject.setIn(state, "x", undefined), state);
+  });
+});
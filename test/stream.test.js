@@ -0,0 +1,57 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const mapObject = require("../mapObject.js");
+
+/**
+ * Pipes the inputs through a transform and collects its output and recordError events
+ */
+async function run(transform, inputs) {
+  const rows = [];
+  const errors = [];
+  transform.on("recordError", (error) => errors.push(error));
+
+  await pipeline(Readable.from(inputs, { objectMode: true }), transform, async function* (source) {
+    for await (const row of source) rows.push(row);
+  });
+
+  return { rows, errors };
+}
+
+describe("stream", () => {
+  it("maps object records", async () => {
+    const { rows } = await run(mapObject.stream("id", "profile.name:name"), [
+      { id: 1, profile: { name: "a" } },
+      { id: 2, profile: { name: "b" } },
+    ]);
+
+    assert.deepEqual(rows, [
+      { id: 1, name: "a" },
+      { id: 2, name: "b" },
+    ]);
+  });
+
+  it("reads NDJSON split across string and buffer chunks", async () => {
+    const { rows } = await run(mapObject.stream("id"), ['{"id":1}\n{"i', Buffer.from('d":2}\n\n{"id":3}')]);
+
+    assert.deepEqual(rows, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+  });
+
+  it("reports bad records without aborting the stream", async () => {
+    const { rows, errors } = await run(mapObject.stream("id"), ['{"id":1}\nnot json\n{"id":3}\n']);
+
+    assert.deepEqual(rows, [{ id: 1 }, { id: 3 }]);
+    assert.equal(errors.length, 1);
+    assert.ok(errors[0] instanceof mapObject.RecordError);
+    assert.equal(errors[0].index, 1);
+    assert.equal(errors[0].record, "not json");
+    assert.ok(errors[0].cause instanceof SyntaxError);
+  });
+
+  it("fails on the first bad record with abortOnError", async () => {
+    const transform = mapObject.withOptions({ abortOnError: true }).stream("id");
+
+    await assert.rejects(run(transform, ['{"id":1}\nnot json\n']), mapObject.RecordError);
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+const source = { name: "A", address: { geo: null }, profile: {} };
+
+describe("strict mode", () => {
+  it("returns the result when every required field is present", () => {
+    assert.deepEqual(mapObject.strict(source, "name", "middleName?"), { name: "A" });
+  });
+
+  it("stops at a null first fallback, like mapObject", () => {
+    assert.deepEqual(mapObject.strict({ a: null }, "a??b:x"), mapObject({ a: null }, "a??b:x"));
+    assert.throws(() => mapObject.strict({}, "a??b:x"), mapObject.MissingFieldsError);
+  });
+
+  it("lists every missing field with the segment where traversal stopped", () => {
+    assert.throws(
+      () => mapObject.strict(source, "name", "address.geo.lat:lat", "profile.middle"),
+      (err) => {
+        assert.ok(err instanceof mapObject.MissingFieldsError);
+        assert.match(err.message, /^Missing 2 required fields:/);
+        assert.deepEqual(err.missing, [
+          {
+            spec: "address.geo.lat:lat",
+            identifier: "lat",
+            paths: [{ path: "address.geo.lat", stoppedAt: "geo", at: "address.geo", value: null }],
+          },
+          {
+            spec: "profile.middle",
+            identifier: "profile.middle",
+            paths: [{ path: "profile.middle", stoppedAt: "middle", at: "profile.middle", value: undefined }],
+          },
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it("is available as an option", () => {
+    assert.throws(() => mapObject.withOptions({ strict: true })(source, "nope"), /Missing 1 required field:/);
+  });
+
+  it("ignores the optional marker outside strict mode", () => {
+    assert.deepEqual(mapObject(source, "name", "middleName?"), { name: "A" });
+  });
+});
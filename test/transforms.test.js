@@ -0,0 +1,50 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+describe("transforms", () => {
+  const user = {
+    email: "  Alice@Example.COM ",
+    createdAt: "2024-01-15T10:30:00Z",
+    price: 10.456,
+    tags: ["a", "b"],
+    contact: { email: " BOB@EXAMPLE.COM", phone: " 123 " },
+  };
+
+  it("pipes a field through a chain of transforms", () => {
+    assert.deepEqual(mapObject(user, "email|trim|lower"), { email: "alice@example.com" });
+  });
+
+  it("applies transforms before renaming", () => {
+    assert.deepEqual(mapObject(user, "createdAt|isoDate:created"), { created: "2024-01-15T10:30:00.000Z" });
+  });
+
+  it("passes arguments to transforms", () => {
+    assert.deepEqual(mapObject(user, "price|round(2)", "tags|join('-')"), { price: 10.46, tags: "a-b" });
+  });
+
+  it("works in grouped specs and mapper prefixes", () => {
+    assert.deepEqual(mapObject(user.contact, ":contact::email|trim|lower,phone|trim"), {
+      contact: { email: "bob@example.com", phone: "123" },
+    });
+    assert.deepEqual(mapObject(user, ["contact.", "email|trim|upper:mail"]), { mail: "BOB@EXAMPLE.COM" });
+  });
+
+  it("skips the chain for missing values", () => {
+    assert.deepEqual(mapObject(user, "missing|trim|upper"), {});
+  });
+
+  it("uses registered transforms", () => {
+    mapObject.registerTransform("prefix", (value, prefix) => `${prefix}${value}`);
+    assert.deepEqual(mapObject({ id: 7 }, "id|prefix('usr_'):userId"), { userId: "usr_7" });
+  });
+
+  it("throws for unknown transforms", () => {
+    assert.throws(() => mapObject(user, "email|nope"), /nope/);
+  });
+
+  it("rejects invalid registrations", () => {
+    assert.throws(() => mapObject.registerTransform("bad name", (v) => v), /Transform name/);
+    assert.throws(() => mapObject.registerTransform("ok", "not a function"), /must be a function/);
+  });
+});
@@ -0,0 +1,43 @@
+// Type-level tests for mapObject.d.ts, checked by `npm run test:types` (tsc, nothing is run)
+import mapObject = require("../../mapObject");
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B ? 1 : 2 ? true : false;
+const expectType = <A, B>(equal: Equal<A, B>) => equal;
+
+interface User {
+  id: number;
+  middleName?: string;
+  profile: { name: string; email: string };
+  orders: Array<{ total: number }>;
+}
+declare const user: User;
+
+// Read paths are inferred from the source type
+expectType<string, ReturnType<typeof mapObject.readValue<User, "profile.name">>>(true);
+expectType<number[], ReturnType<typeof mapObject.readValue<User, "orders.[total]">>>(true);
+
+// Targets, mapper prefixes and transforms shape the result
+const renamed = mapObject(user, "profile.name:fullName", "id");
+expectType<{ fullName: string; id: number }, typeof renamed>(true);
+
+const grouped = mapObject(user, ["profile:contact.", "email"]);
+expectType<{ contact: { email: string } }, typeof grouped>(true);
+
+const converted = mapObject(user, "id|string:idText");
+expectType<{ idText: string }, typeof converted>(true);
+
+// Optional fields stay optional
+const optional = mapObject(user, "middleName?");
+expectType<{ middleName?: string }, typeof optional>(true);
+
+// writeValue returns the object it was given
+const written = mapObject.writeValue(user, "profile.name", "x");
+expectType<User, typeof written>(true);
+
+// @ts-expect-error writeValue needs an object to write to
+mapObject.writeValue("user", "name", "x");
+
+// mapObject.stream is typed without @types/node (tsconfig "types": [])
+const stream = mapObject.stream("id");
+stream.on("recordError", (error) => expectType<number, typeof error.index>(true));
+expectType<boolean, ReturnType<typeof stream.write>>(true);
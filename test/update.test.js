@@ -0,0 +1,88 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+const form = { name: "Ann", bio: "Hi", nickname: null, photoUrl: "u", views: 2, password: "x" };
+
+describe("toUpdate", () => {
+  it("builds $set, $unset and $push from targets", () => {
+    assert.deepEqual(mapObject.toUpdate(form, ":profile::name,bio", "photoUrl:photos.[]", "nickname"), {
+      $set: { "profile.name": "Ann", "profile.bio": "Hi" },
+      $unset: { nickname: "" },
+      $push: { photos: "u" },
+    });
+  });
+
+  it("skips undefined values", () => {
+    assert.deepEqual(mapObject.toUpdate({ a: undefined }, "a"), {});
+  });
+
+  it("turns exclusions into $unset", () => {
+    assert.deepEqual(mapObject.toUpdate(form, "name:x", "-password"), {
+      $set: { x: "Ann" },
+      $unset: { password: "" },
+    });
+  });
+
+  it("pushes objects, batches several values with $each and sets projections positionally", () => {
+    assert.deepEqual(mapObject.toUpdate(form, "photoUrl:photos.[].url", "name:items.[status]"), {
+      $set: { "items.$[].status": "Ann" },
+      $push: { photos: { url: "u" } },
+    });
+    assert.deepEqual(mapObject.toUpdate({ a: 1, b: 2 }, "a:p.[]", "b:p.[]"), { $push: { p: { $each: [1, 2] } } });
+  });
+
+  it("keeps targets that start with an operator", () => {
+    assert.deepEqual(mapObject.toUpdate(form, "photoUrl:$push.photos", ":$inc::views"), {
+      $push: { photos: "u" },
+      $inc: { views: 2 },
+    });
+  });
+
+  it("joins the path after an operator into a dotted key", () => {
+    assert.deepEqual(mapObject.toUpdate(form, "name:$set.profile.name", "views:$inc.stats.views"), {
+      $set: { "profile.name": "Ann" },
+      $inc: { "stats.views": 2 },
+    });
+  });
+
+  it("builds one item per spec under $push and $addToSet", () => {
+    const source = { name: "D", gender: "F", photoUrl: "u" };
+
+    assert.deepEqual(mapObject.toUpdate(source, [":$push.kycRequests", "name,gender"]), {
+      $push: { kycRequests: { name: "D", gender: "F" } },
+    });
+    assert.deepEqual(mapObject.toUpdate(source, "photoUrl:$push.photo.url"), { $push: { photo: { url: "u" } } });
+    assert.deepEqual(mapObject.toUpdate(source, [":$addToSet.tags", "name"], [":$addToSet.tags", "gender"]), {
+      $addToSet: { tags: { $each: [{ name: "D" }, { gender: "F" }] } },
+    });
+    assert.deepEqual(mapObject.toUpdate(source, "photoUrl:$push.photos", "name:photos.[]"), {
+      $push: { photos: { $each: ["u", "D"] } },
+    });
+  });
+
+  it("replaces earlier operations on ancestor and descendant paths", () => {
+    const source = { nick: "n", name: "x", gone: null };
+
+    assert.deepEqual(mapObject.toUpdate(source, "nick:a", "name:a.b"), { $set: { "a.b": "x" } });
+    assert.deepEqual(mapObject.toUpdate(source, "name:a.b", "nick:a"), { $set: { a: "n" } });
+    assert.deepEqual(mapObject.toUpdate(source, "name:a.b", "gone:a"), { $unset: { a: "" } });
+    assert.deepEqual(mapObject.toUpdate(source, "nick:a.b", "name:$inc.a"), { $inc: { a: "x" } });
+    assert.deepEqual(mapObject.toUpdate(source, "name:$set.a.b", "nick:a", "-a.c"), { $unset: { "a.c": "" } });
+  });
+
+  it("uses the configured array operator", () => {
+    const toUpdate = mapObject.withOptions({ arrayOperator: "$addToSet" }).toUpdate;
+
+    assert.deepEqual(toUpdate(form, "photoUrl:photos.[]"), { $addToSet: { photos: "u" } });
+  });
+
+  it("throws for targets without an update path", () => {
+    assert.throws(
+      () => mapObject.toUpdate(form, "name:a.-1"),
+      /Negative index cannot be used in an update path: a\.-1/
+    );
+    assert.throws(() => mapObject.toUpdate(form, "name:a.[?x=1]"), /cannot be used in an update path/);
+    assert.throws(() => mapObject.toUpdate(form, "name:['a.b']"), /Key "a\.b" cannot be used in an update path/);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+describe("validate", () => {
+  it("returns no diagnostics for a valid spec", () => {
+    assert.deepEqual(mapObject.validate("ok:fine", ":address::line1,line2", "user.::name"), []);
+  });
+
+  it("reports empty fields and path segments", () => {
+    assert.deepEqual(mapObject.validate("a,,b"), [{ spec: "a,,b", offset: 2, message: "Empty field" }]);
+    assert.deepEqual(mapObject.validate("a..b"), [{ spec: "a..b", offset: 2, message: "Empty path segment" }]);
+  });
+
+  it("reports bad bracket keys", () => {
+    assert.deepEqual(mapObject.validate("a.[b"), [{ spec: "a.[b", offset: 2, message: 'Unclosed "["' }]);
+    assert.deepEqual(mapObject.validate("['x]"), [{ spec: "['x]", offset: 1, message: "Unclosed quote '" }]);
+  });
+
+  it("reports values that start with an operator character in filters", () => {
+    const diagnostics = mapObject.validate("users.[?a==]");
+    const [diagnostic] = diagnostics;
+
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostic.spec, "users.[?a==]");
+    assert.match(diagnostic.message, /^Invalid predicate "\[\?a==\]" .*unexpected "=" at the start of the value/);
+  });
+
+  it("reports mapper prefixes without fields", () => {
+    assert.deepEqual(mapObject.validate("user.", "name"), [
+      { spec: "user.", offset: 0, message: 'Mapper prefix "user." has no fields to apply to' },
+    ]);
+  });
+
+  it("reports conflicting target paths", () => {
+    assert.deepEqual(mapObject.validate("name:x", "other:x"), [
+      { spec: "other:x", offset: 6, message: 'Target "x" conflicts with target "x"' },
+    ]);
+    assert.deepEqual(mapObject.validate("a.b:x", "c:x.y"), [
+      { spec: "c:x.y", offset: 2, message: 'Target "x.y" conflicts with target "x"' },
+    ]);
+  });
+
+  it("accepts every mapper prefix the parser accepts", () => {
+    assert.deepEqual(mapObject.validate(["['con.v2'].", "y"], ["ключ.", "x"], ":['out put']::['first name']"), []);
+  });
+
+  it("keeps checking the entries after one that fails to parse", () => {
+    assert.deepEqual(mapObject.validate(["a @if", "b|nope", 5, "c"]), [
+      {
+        spec: "a @if",
+        offset: 0,
+        message:
+          'Invalid condition "@if" in map: a @if (expected a path, optionally followed by an operator and a value)',
+      },
+      { spec: "b|nope", offset: 2, message: 'Unknown transform "nope" in map: b|nope' },
+      { spec: 5, offset: 0, message: "Field must be a string, an array or an object, received: number" },
+    ]);
+  });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapObject = require("../mapObject.js");
+
+const source = { settings: { email: { enabled: true }, sms: { enabled: false } } };
+
+describe("key wildcards", () => {
+  it("reads every key's value as an array", () => {
+    assert.deepEqual(mapObject.readValue(source, "settings.*.enabled"), [true, false]);
+  });
+
+  it("reads a key-preserving object with {*}", () => {
+    assert.deepEqual(mapObject.readValue(source, "settings.{*}.enabled"), { email: true, sms: false });
+  });
+
+  it("keeps keys whose nested value is missing", () => {
+    const partial = { settings: { email: { enabled: true }, sms: {} } };
+
+    assert.deepEqual(mapObject.readValue(partial, "settings.*.enabled"), [true, undefined]);
+    assert.deepEqual(mapObject.readValue(partial, "settings.{*}.enabled"), { email: true, sms: undefined });
+  });
+
+  it("works in map strings", () => {
+    assert.deepEqual(mapObject(source, "settings.{*}.enabled:channels", "settings.*.enabled:flags"), {
+      channels: { email: true, sms: false },
+      flags: [true, false],
+    });
+  });
+});